@@ -0,0 +1,16 @@
+import { config } from '../lib/config.js';
+
+function formatUptime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}h ${minutes}m ${Math.floor(seconds % 60)}s`;
+}
+
+export default {
+    name: 'alive',
+    description: 'Check that the bot is online',
+    async execute({ reply }) {
+        const { name, version, channelUrl } = config.branding;
+        await reply(`✅ *${name.toUpperCase()} IS ALIVE!*\n\n⏱️ Uptime: ${formatUptime(process.uptime())}\n📱 Version: ${version}\n\n📢 Channel: ${channelUrl}`);
+    }
+};
@@ -0,0 +1,18 @@
+export default {
+    name: 'help',
+    description: 'Show how to use a command',
+    usage: 'help <command>',
+    async execute({ router, prefix, args, reply }) {
+        if (args.length === 0) {
+            return reply(`ℹ️ Usage: *${prefix}help <command>*\n\nType *${prefix}menu* to see all commands.`);
+        }
+
+        const command = router.find(args[0].replace(prefix, ''));
+        if (!command) {
+            return reply(`❓ No command named *${args[0]}*`);
+        }
+
+        const aliases = command.aliases?.length ? `\n🔁 Aliases: ${command.aliases.map((alias) => prefix + alias).join(', ')}` : '';
+        await reply(`ℹ️ *${prefix}${command.name}*\n\n${command.description}\n\n📝 Usage: ${prefix}${command.usage || command.name}${aliases}`);
+    }
+};
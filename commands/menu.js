@@ -0,0 +1,13 @@
+import { config } from '../lib/config.js';
+
+export default {
+    name: 'menu',
+    aliases: ['list'],
+    description: 'Show all available commands',
+    async execute({ router, prefix, reply }) {
+        const lines = router.list().map((command) => `➤ *${prefix}${command.name}* - ${command.description}`);
+
+        const { name, channelUrl, ownerNumber } = config.branding;
+        await reply(`🤖 *${name.toUpperCase()} MENU*\n\n${lines.join('\n')}\n\n📢 Channel: ${channelUrl}\n👤 Owner: wa.me/${ownerNumber}`);
+    }
+};
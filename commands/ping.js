@@ -0,0 +1,10 @@
+export default {
+    name: 'ping',
+    description: 'Check the bot response time',
+    async execute({ message, reply }) {
+        const sentAt = Number(message.messageTimestamp) * 1000;
+        const latency = sentAt ? Math.max(Date.now() - sentAt, 0) : 0;
+
+        await reply(`🏓 *Pong!*\n\n⚡ Latency: ${latency}ms`);
+    }
+};
@@ -0,0 +1,31 @@
+import { BufferJSON } from '@whiskeysockets/baileys';
+import { encrypt, decrypt, isEncrypted } from '../crypto.js';
+
+/**
+ * Serializes auth-state values, encrypting them when a key is given.
+ * Plain values are still readable with a key set, so existing sessions
+ * get encrypted the next time they are written.
+ */
+export function createCodec(key = null) {
+    return {
+        encrypted: Boolean(key),
+
+        encode(value) {
+            const json = Buffer.from(JSON.stringify(value, BufferJSON.replacer));
+            return key ? encrypt(json, key) : json;
+        },
+
+        decode(data) {
+            let buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+            if (isEncrypted(buffer)) {
+                if (!key) {
+                    throw new Error('Session data is encrypted but SESSION_ENCRYPTION_KEY is not set');
+                }
+                buffer = decrypt(buffer, key);
+            }
+
+            return JSON.parse(buffer.toString('utf8'), BufferJSON.reviver);
+        }
+    };
+}
@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { BufferJSON, initAuthCreds } from '@whiskeysockets/baileys';
+import { makeSignalKeyStore } from './signal-keys.js';
+import { encrypt, decrypt } from '../crypto.js';
+import { writeFileAtomic } from '../files.js';
+
+// One AES-GCM encrypted JSON blob per session holding creds and all signal keys
+export function createEncryptedJsonStore({ dir = './sessions/auth', key }) {
+    if (!key) {
+        throw new Error('AUTH_STORE=encrypted-json needs AUTH_STORE_KEY or SESSION_ENCRYPTION_KEY to be set');
+    }
+
+    const fileFor = (sessionId) => path.join(dir, `${sessionId}.json.enc`);
+
+    async function readBlob(sessionId) {
+        try {
+            const raw = decrypt(await fs.readFile(fileFor(sessionId)), key);
+            return JSON.parse(raw.toString('utf8'), BufferJSON.reviver);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Cannot read auth state for ${sessionId}: ${error.message}`);
+        }
+    }
+
+    return {
+        name: 'encrypted-json',
+
+        async useAuthState(sessionId) {
+            const blob = await readBlob(sessionId) || { creds: initAuthCreds(), keys: {} };
+            let writeQueue = Promise.resolve();
+
+            // Serialize writes; each one rewrites the whole blob through a temp file
+            const persist = () => {
+                writeQueue = writeQueue.then(() => {
+                    const data = encrypt(Buffer.from(JSON.stringify(blob, BufferJSON.replacer)), key);
+                    return writeFileAtomic(fileFor(sessionId), data);
+                });
+                return writeQueue;
+            };
+
+            return {
+                state: {
+                    creds: blob.creds,
+                    keys: makeSignalKeyStore({
+                        read: async (category, id) => blob.keys[category]?.[id] ?? null,
+                        // One rewrite of the blob per set(), however many keys it carries
+                        write: async (changes) => {
+                            for (const { category, id, value } of changes) {
+                                if (value) {
+                                    blob.keys[category] = blob.keys[category] || {};
+                                    blob.keys[category][id] = value;
+                                } else {
+                                    delete blob.keys[category]?.[id];
+                                }
+                            }
+                            await persist();
+                        }
+                    })
+                },
+                saveCreds: persist
+            };
+        },
+
+        async remove(sessionId) {
+            await fs.rm(fileFor(sessionId), { force: true });
+        },
+
+        location(sessionId) {
+            return fileFor(sessionId);
+        },
+
+        async checkWritable() {
+            const probe = path.join(dir, `.write-check-${process.pid}`);
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(probe, '');
+            await fs.rm(probe, { force: true });
+        },
+
+        async hasEncryptedData() {
+            return true;
+        },
+
+        // Every blob is decrypted before anything is written; blobs already on newKey
+        // (left by an interrupted run) are accepted, so a failed rotation can be run again
+        async rotateKey(newKey) {
+            const files = (await fs.readdir(dir).catch(() => [])).filter((name) => name.endsWith('.json.enc'));
+            const rewrites = [];
+
+            for (const name of files) {
+                const file = path.join(dir, name);
+                const data = await fs.readFile(file);
+
+                let plain;
+                try {
+                    plain = decrypt(data, key);
+                } catch (error) {
+                    try {
+                        plain = decrypt(data, newKey);
+                    } catch (newKeyError) {
+                        throw new Error(`Cannot decrypt ${name}: ${error.message}`);
+                    }
+                }
+                rewrites.push({ file, data: encrypt(plain, newKey) });
+            }
+
+            for (const { file, data } of rewrites) {
+                await writeFileAtomic(file, data);
+            }
+
+            key = newKey;
+            return files.length;
+        }
+    };
+}
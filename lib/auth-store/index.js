@@ -0,0 +1,45 @@
+import { createMultiFileStore } from './multi-file.js';
+import { createSqliteStore } from './sqlite.js';
+import { createEncryptedJsonStore } from './encrypted-json.js';
+import { deriveKey } from '../crypto.js';
+
+/**
+ * Auth-state storage selected by AUTH_STORE:
+ *   multi-file (default) - ./session_* folders, AUTH_STORE_PATH sets the parent folder
+ *   sqlite               - single database file, AUTH_STORE_PATH (default ./sessions/auth.db)
+ *   encrypted-json       - one encrypted file per session, AUTH_STORE_PATH (default ./sessions/auth)
+ *                          and AUTH_STORE_KEY
+ *
+ * SESSION_ENCRYPTION_KEY encrypts everything multi-file and sqlite write (AES-256-GCM).
+ *
+ * Every store has: name, useAuthState(sessionId) -> { state, saveCreds }, remove(sessionId),
+ * location(sessionId), checkWritable(), hasEncryptedData() and rotateKey(newKey)
+ */
+export async function createAuthStore(env = process.env) {
+    const backend = env.AUTH_STORE || 'multi-file';
+    const storePath = env.AUTH_STORE_PATH;
+    const key = env.SESSION_ENCRYPTION_KEY ? deriveKey(env.SESSION_ENCRYPTION_KEY) : null;
+
+    let store;
+    switch (backend) {
+        case 'multi-file':
+            store = createMultiFileStore({ baseDir: storePath || '.', key });
+            break;
+        case 'sqlite':
+            store = await createSqliteStore({ file: storePath || './sessions/auth.db', key });
+            break;
+        case 'encrypted-json': {
+            const secret = env.AUTH_STORE_KEY || env.SESSION_ENCRYPTION_KEY;
+            store = createEncryptedJsonStore({ dir: storePath || './sessions/auth', key: secret ? deriveKey(secret) : null });
+            break;
+        }
+        default:
+            throw new Error(`Unknown AUTH_STORE "${backend}". Use multi-file, sqlite or encrypted-json`);
+    }
+
+    if (!key && backend !== 'encrypted-json' && await store.hasEncryptedData()) {
+        throw new Error(`Encrypted sessions found in the ${backend} store but SESSION_ENCRYPTION_KEY is not set`);
+    }
+
+    return store;
+}
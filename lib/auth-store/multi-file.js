@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { initAuthCreds } from '@whiskeysockets/baileys';
+import { makeSignalKeyStore } from './signal-keys.js';
+import { createCodec } from './codec.js';
+import { isEncrypted } from '../crypto.js';
+import { writeFileAtomic } from '../files.js';
+
+// Same layout as Baileys' useMultiFileAuthState: one folder per session with creds.json
+// and a file per signal key, optionally encrypted file by file
+const fixFileName = (file) => file.replace(/\//g, '__').replace(/:/g, '-');
+
+function decodeEither(data, codec, newCodec) {
+    try {
+        return codec.decode(data);
+    } catch (error) {
+        try {
+            return newCodec.decode(data);
+        } catch (newKeyError) {
+            throw error;
+        }
+    }
+}
+
+export function createMultiFileStore({ baseDir = '.', key = null } = {}) {
+    let codec = createCodec(key);
+    const dirFor = (sessionId) => baseDir === '.' ? `./${sessionId}` : path.join(baseDir, sessionId);
+
+    async function listSessionDirs() {
+        const entries = await fs.readdir(baseDir, { withFileTypes: true }).catch(() => []);
+        return entries
+            .filter((entry) => entry.isDirectory() && entry.name.startsWith('session_'))
+            .map((entry) => path.join(baseDir, entry.name));
+    }
+
+    return {
+        name: 'multi-file',
+
+        async useAuthState(sessionId) {
+            const dir = dirFor(sessionId);
+            await fs.mkdir(dir, { recursive: true });
+
+            const fileFor = (name) => path.join(dir, `${fixFileName(name)}.json`);
+            const writes = new Map();
+
+            const readData = async (name) => {
+                try {
+                    return codec.decode(await fs.readFile(fileFor(name)));
+                } catch (error) {
+                    if (error.code === 'ENOENT') return null;
+                    throw error;
+                }
+            };
+
+            // Writes to the same file are chained so they never interleave
+            const writeData = (name, value) => {
+                const file = fileFor(name);
+                const next = (writes.get(file) || Promise.resolve())
+                    .then(() => writeFileAtomic(file, codec.encode(value)));
+                writes.set(file, next.catch(() => {}));
+                return next;
+            };
+
+            const creds = await readData('creds') || initAuthCreds();
+
+            return {
+                state: {
+                    creds,
+                    keys: makeSignalKeyStore({
+                        read: (category, id) => readData(`${category}-${id}`),
+                        write: (changes) => Promise.all(changes.map(({ category, id, value }) => value
+                            ? writeData(`${category}-${id}`, value)
+                            : fs.rm(fileFor(`${category}-${id}`), { force: true })))
+                    })
+                },
+                saveCreds: () => writeData('creds', creds)
+            };
+        },
+
+        async remove(sessionId) {
+            await fs.rm(dirFor(sessionId), { recursive: true, force: true });
+        },
+
+        location(sessionId) {
+            return dirFor(sessionId);
+        },
+
+        // Readiness probe: can new credentials be written?
+        async checkWritable() {
+            const probe = path.join(baseDir, `.write-check-${process.pid}`);
+            await fs.mkdir(baseDir, { recursive: true });
+            await fs.writeFile(probe, '');
+            await fs.rm(probe, { force: true });
+        },
+
+        async hasEncryptedData() {
+            for (const dir of await listSessionDirs()) {
+                const creds = await fs.readFile(path.join(dir, 'creds.json')).catch(() => null);
+                if (creds && isEncrypted(creds)) return true;
+            }
+            return false;
+        },
+
+        // Re-encrypt every file of every session with newKey; returns the number of files.
+        // Nothing is written until every file decoded, and files already on newKey (left by an
+        // interrupted run) are accepted, so a failed rotation can simply be run again.
+        async rotateKey(newKey) {
+            const newCodec = createCodec(newKey);
+            const rewrites = [];
+
+            for (const dir of await listSessionDirs()) {
+                for (const name of await fs.readdir(dir)) {
+                    if (!name.endsWith('.json')) continue;
+
+                    const file = path.join(dir, name);
+                    let value;
+                    try {
+                        value = decodeEither(await fs.readFile(file), codec, newCodec);
+                    } catch (error) {
+                        throw new Error(`Cannot decode ${file}: ${error.message}`);
+                    }
+                    rewrites.push({ file, data: newCodec.encode(value) });
+                }
+            }
+
+            for (const { file, data } of rewrites) {
+                await writeFileAtomic(file, data);
+            }
+
+            codec = newCodec;
+            return rewrites.length;
+        }
+    };
+}
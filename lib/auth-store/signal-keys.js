@@ -0,0 +1,34 @@
+import { proto } from '@whiskeysockets/baileys';
+
+// Shared SignalKeyStore on top of a backend's read of single key values and a batched write,
+// matching what useMultiFileAuthState does so makeCacheableSignalKeyStore can wrap it.
+// write(changes) gets every change of one set() call as [{ category, id, value }], value null to delete.
+export function makeSignalKeyStore({ read, write }) {
+    return {
+        async get(type, ids) {
+            const data = {};
+
+            await Promise.all(ids.map(async (id) => {
+                let value = await read(type, id);
+                if (type === 'app-state-sync-key' && value) {
+                    value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                }
+                data[id] = value;
+            }));
+
+            return data;
+        },
+
+        async set(data) {
+            const changes = [];
+
+            for (const category in data) {
+                for (const id in data[category]) {
+                    changes.push({ category, id, value: data[category][id] || null });
+                }
+            }
+
+            if (changes.length > 0) await write(changes);
+        }
+    };
+}
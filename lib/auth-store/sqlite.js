@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { initAuthCreds } from '@whiskeysockets/baileys';
+import { makeSignalKeyStore } from './signal-keys.js';
+import { createCodec } from './codec.js';
+import { isEncrypted } from '../crypto.js';
+
+// Every session in one SQLite file: rows of (session, category, id) -> encoded value
+export async function createSqliteStore({ file = './sessions/auth.db', key = null } = {}) {
+    let Database;
+    try {
+        ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+        throw new Error('AUTH_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    let codec = createCodec(key);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS auth_state (
+            session_id TEXT NOT NULL,
+            category TEXT NOT NULL,
+            id TEXT NOT NULL,
+            value BLOB NOT NULL,
+            PRIMARY KEY (session_id, category, id)
+        )
+    `);
+
+    const selectValue = db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND category = ? AND id = ?');
+    const selectAll = db.prepare('SELECT session_id, category, id, value FROM auth_state');
+    const upsertValue = db.prepare(`
+        INSERT INTO auth_state (session_id, category, id, value) VALUES (?, ?, ?, ?)
+        ON CONFLICT (session_id, category, id) DO UPDATE SET value = excluded.value
+    `);
+    const deleteValue = db.prepare('DELETE FROM auth_state WHERE session_id = ? AND category = ? AND id = ?');
+    const deleteSession = db.prepare('DELETE FROM auth_state WHERE session_id = ?');
+
+    const read = (sessionId, category, id) => {
+        const row = selectValue.get(sessionId, category, id);
+        return row ? codec.decode(row.value) : null;
+    };
+    const write = (sessionId, category, id, value) => {
+        upsertValue.run(sessionId, category, id, codec.encode(value));
+    };
+    // All changes of one set() commit together
+    const writeKeys = db.transaction((sessionId, changes) => {
+        for (const { category, id, value } of changes) {
+            if (value) write(sessionId, category, id, value);
+            else deleteValue.run(sessionId, category, id);
+        }
+    });
+
+    return {
+        name: 'sqlite',
+
+        async useAuthState(sessionId) {
+            const creds = read(sessionId, 'creds', '') || initAuthCreds();
+
+            return {
+                state: {
+                    creds,
+                    keys: makeSignalKeyStore({
+                        read: async (category, id) => read(sessionId, category, id),
+                        write: async (changes) => writeKeys(sessionId, changes)
+                    })
+                },
+                saveCreds: async () => write(sessionId, 'creds', '', creds)
+            };
+        },
+
+        async remove(sessionId) {
+            deleteSession.run(sessionId);
+        },
+
+        location(sessionId) {
+            return `${file}#${sessionId}`;
+        },
+
+        // Fails with SQLITE_READONLY / SQLITE_FULL when the database cannot take writes
+        async checkWritable() {
+            db.transaction(() => {
+                upsertValue.run('__write_check__', 'probe', '', Buffer.alloc(0));
+                deleteSession.run('__write_check__');
+            })();
+        },
+
+        async hasEncryptedData() {
+            const row = db.prepare("SELECT value FROM auth_state WHERE category = 'creds' LIMIT 1").get();
+            return Boolean(row && isEncrypted(Buffer.from(row.value)));
+        },
+
+        async rotateKey(newKey) {
+            const newCodec = createCodec(newKey);
+            const rows = selectAll.all();
+
+            db.transaction(() => {
+                for (const row of rows) {
+                    upsertValue.run(row.session_id, row.category, row.id, newCodec.encode(codec.decode(row.value)));
+                }
+            })();
+
+            codec = newCodec;
+            return rows.length;
+        }
+    };
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+// API key authentication. Keys come from:
+//   API_KEYS=name:key,name2:key2   (a bare key gets a generated name)
+//   API_KEYS_FILE=./keys.json      { "keys": [{ "name": "...", "key": "...", "admin": false }] }
+//   ADMIN_API_KEY=key              (sees every session)
+// The server refuses to start without keys unless AUTH_DISABLED=true.
+
+function digest(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+function keyName(key) {
+    return 'key_' + digest(key).toString('hex').slice(0, 8);
+}
+
+export async function loadApiKeys() {
+    const records = [];
+
+    for (const entry of (process.env.API_KEYS || '').split(',').map((item) => item.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const [name, key] = separator > 0
+            ? [entry.slice(0, separator), entry.slice(separator + 1)]
+            : [keyName(entry), entry];
+        records.push({ name, key, admin: false });
+    }
+
+    if (process.env.API_KEYS_FILE) {
+        const parsed = JSON.parse(await fs.readFile(process.env.API_KEYS_FILE, 'utf8'));
+        for (const { name, key, admin } of parsed.keys || []) {
+            if (!key) continue;
+            records.push({ name: name || keyName(key), key, admin: Boolean(admin) });
+        }
+    }
+
+    if (process.env.ADMIN_API_KEY) {
+        records.push({ name: 'admin', key: process.env.ADMIN_API_KEY, admin: true });
+    }
+
+    return records.map(({ name, key, admin }) => ({ name, admin, digest: digest(key) }));
+}
+
+function extractKey(req, allowQuery) {
+    const header = req.get('x-api-key');
+    if (header) return header;
+
+    const authorization = req.get('authorization') || '';
+    if (authorization.startsWith('Bearer ')) return authorization.slice(7);
+
+    // Query strings end up in logs and browser history, so only routes that can't send headers accept one
+    return allowQuery && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+}
+
+/**
+ * Express middleware setting req.apiKey = { name, admin }.
+ * `queryKeyPaths` are patterns of paths that may pass the key as ?apiKey= (EventSource can't send headers).
+ * With no keys configured (AUTH_DISABLED=true) authentication is off and every caller acts as admin.
+ */
+export function createAuthMiddleware(keys, { publicPaths = [], queryKeyPaths = [] } = {}) {
+    return (req, res, next) => {
+        if (keys.length === 0) {
+            req.apiKey = { name: null, admin: true };
+            return next();
+        }
+
+        if (publicPaths.includes(req.path)) return next();
+
+        const provided = extractKey(req, queryKeyPaths.some((pattern) => pattern.test(req.path)));
+        const match = provided && keys.find((record) => crypto.timingSafeEqual(record.digest, digest(provided)));
+
+        if (!match) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'A valid API key is required (X-API-Key header)'
+            });
+        }
+
+        req.apiKey = { name: match.name, admin: match.admin };
+        next();
+    };
+}
+
+export function canAccessSession(apiKey, session) {
+    return Boolean(apiKey) && (apiKey.admin || session.owner === apiKey.name);
+}
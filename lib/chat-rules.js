@@ -0,0 +1,208 @@
+import { codedError } from './errors.js';
+import { readJsonFile, createJsonWriter } from './files.js';
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+// Per-session rules deciding which incoming messages the bot answers (commands and auto-reply)
+export const DEFAULT_RULES = Object.freeze({
+    allow: [],              // JIDs or phone numbers; when set, only these chats/senders get answers
+    deny: [],               // never answered, checked against chat and sender
+    private: true,          // answer private chats
+    groups: true,           // answer in groups (the auto-reply itself never runs in groups)
+    ignoreBroadcast: true,  // status updates, broadcast lists and newsletters
+    ignoreHistory: true,    // history-sync batches (messages.upsert type "append")
+    maxAgeSeconds: 300,     // skip messages older than this, e.g. replayed on reconnect; 0 = off
+    cooldownSeconds: 0,     // minimum gap between answers in one chat; 0 = off
+    schedule: null          // { timezone, days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM' }
+});
+
+const RULES_FILE = config.rules.file;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const rulesError = (message) => codedError('INVALID_RULES', message);
+
+// "94771234567", "+94 77 123 4567" and "94771234567:3@s.whatsapp.net" all match the same user
+function identity(value) {
+    const text = String(value).trim();
+    if (text.includes('@')) {
+        const [user, server] = text.split('@');
+        return `${user.split(':')[0]}@${server}`;
+    }
+    return `${text.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+function validateJidList(name, list) {
+    if (!Array.isArray(list) || list.some((entry) => typeof entry !== 'string' || !entry.trim())) {
+        throw rulesError(`"${name}" must be an array of JIDs or phone numbers`);
+    }
+    return list.map((entry) => entry.trim());
+}
+
+function validateSchedule(schedule) {
+    if (schedule === null) return null;
+    if (typeof schedule !== 'object') throw rulesError('"schedule" must be an object or null');
+
+    const { timezone = 'UTC', days = [0, 1, 2, 3, 4, 5, 6], start, end } = schedule;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw rulesError(`Unknown schedule timezone "${timezone}"`);
+    }
+    if (!Array.isArray(days) || days.length === 0 || days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw rulesError('"schedule.days" must list weekdays 0-6 (0 = Sunday)');
+    }
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+        throw rulesError('"schedule.start" and "schedule.end" must be HH:MM');
+    }
+    if (start === end) {
+        // An empty window would never match; leave "schedule" null to reply around the clock
+        throw rulesError('"schedule.start" and "schedule.end" must differ (use a null schedule for all day)');
+    }
+
+    return { timezone, days: [...new Set(days)].sort(), start, end };
+}
+
+// Merge `changes` over `current`, validating every field given
+export function mergeRules(current, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw rulesError('Rules must be a JSON object');
+    }
+
+    const unknown = Object.keys(changes).filter((key) => !(key in DEFAULT_RULES));
+    if (unknown.length > 0) throw rulesError(`Unknown rule fields: ${unknown.join(', ')}`);
+
+    const rules = { ...current };
+    for (const [key, value] of Object.entries(changes)) {
+        switch (key) {
+            case 'allow':
+            case 'deny':
+                rules[key] = validateJidList(key, value);
+                break;
+            case 'private':
+            case 'groups':
+            case 'ignoreBroadcast':
+            case 'ignoreHistory':
+                if (typeof value !== 'boolean') throw rulesError(`"${key}" must be true or false`);
+                rules[key] = value;
+                break;
+            case 'maxAgeSeconds':
+            case 'cooldownSeconds':
+                if (!Number.isInteger(value) || value < 0) throw rulesError(`"${key}" must be a whole number of seconds`);
+                rules[key] = value;
+                break;
+            case 'schedule':
+                rules.schedule = validateSchedule(value);
+                break;
+        }
+    }
+    return rules;
+}
+
+// Weekday and minutes since midnight in `timezone`
+function localTime(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(({ type, value }) => [type, value]));
+
+    return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+// Ranges where end < start run past midnight and belong to the day they start on
+export function isWithinSchedule(schedule, date = new Date()) {
+    if (!schedule) return true;
+
+    const { day, minutes } = localTime(date, schedule.timezone);
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+
+    if (start <= end) return schedule.days.includes(day) && minutes >= start && minutes < end;
+    if (minutes >= start) return schedule.days.includes(day);
+    return minutes < end && schedule.days.includes((day + 6) % 7);
+}
+
+export class ChatRules {
+    constructor({ file = RULES_FILE } = {}) {
+        this.file = file;
+        this.rules = new Map();       // sessionId -> rules, for sessions that changed the defaults
+        this.lastReplies = new Map(); // `${sessionId}|${chat}` -> ms timestamp
+        this.writeStore = createJsonWriter(file, 'Chat rules');
+    }
+
+    async load() {
+        const parsed = await readJsonFile(this.file, 'Chat rules');
+        for (const [sessionId, rules] of Object.entries(parsed?.rules || {})) {
+            try {
+                this.rules.set(sessionId, mergeRules(DEFAULT_RULES, rules));
+            } catch (error) {
+                logger.warn({ err: error, sessionId }, 'Ignoring invalid chat rules');
+            }
+        }
+    }
+
+    persist() {
+        return this.writeStore({ rules: Object.fromEntries(this.rules) });
+    }
+
+    get(sessionId) {
+        return this.rules.get(sessionId) || { ...DEFAULT_RULES };
+    }
+
+    async update(sessionId, changes) {
+        const rules = mergeRules(this.get(sessionId), changes);
+        this.rules.set(sessionId, rules);
+        await this.persist();
+        return rules;
+    }
+
+    async reset(sessionId) {
+        if (this.rules.delete(sessionId)) await this.persist();
+        return this.get(sessionId);
+    }
+
+    async removeSession(sessionId) {
+        for (const key of this.lastReplies.keys()) {
+            if (key.startsWith(`${sessionId}|`)) this.lastReplies.delete(key);
+        }
+        if (this.rules.delete(sessionId)) await this.persist();
+    }
+
+    /**
+     * Should the bot answer this message? `normalized` comes from normalizeMessage,
+     * `upsertType` is the messages.upsert type. Returns { allowed, reason }.
+     */
+    check(sessionId, normalized, upsertType, now = Date.now()) {
+        const rules = this.get(sessionId);
+        const { chat, sender } = normalized;
+        const deny = (reason) => ({ allowed: false, reason });
+
+        if (rules.ignoreBroadcast && (chat.endsWith('@broadcast') || chat.endsWith('@newsletter'))) return deny('broadcast');
+        if (rules.ignoreHistory && upsertType !== 'notify') return deny('history');
+        if (rules.maxAgeSeconds > 0 && normalized.timestamp && now / 1000 - normalized.timestamp > rules.maxAgeSeconds) {
+            return deny('stale');
+        }
+
+        if (normalized.isGroup ? !rules.groups : !rules.private) return deny(normalized.isGroup ? 'group' : 'private');
+
+        const ids = [identity(chat), sender && identity(sender)].filter(Boolean);
+        if (rules.deny.some((entry) => ids.includes(identity(entry)))) return deny('denied');
+        if (rules.allow.length > 0 && !rules.allow.some((entry) => ids.includes(identity(entry)))) return deny('not_allowed');
+
+        if (!isWithinSchedule(rules.schedule, new Date(now))) return deny('outside_schedule');
+
+        const lastReply = this.lastReplies.get(`${sessionId}|${chat}`);
+        if (lastReply && now - lastReply < rules.cooldownSeconds * 1000) return deny('cooldown');
+
+        return { allowed: true, reason: null };
+    }
+
+    markReplied(sessionId, chat, now = Date.now()) {
+        this.lastReplies.set(`${sessionId}|${chat}`, now);
+    }
+}
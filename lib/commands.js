@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from './logger.js';
+import { normalizeMessage, isChatContent } from './message.js';
+
+// Splits "a b 'c d'" into ['a', 'b', 'c d'], honouring single and double quotes
+export function parseArgs(input) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+        args.push(match[1] ?? match[2] ?? match[3]);
+    }
+
+    return args;
+}
+
+/**
+ * Routes incoming messages to command handlers.
+ *
+ * A command module default-exports:
+ *   { name, aliases?, description, usage?, execute(ctx) }
+ * where ctx = { session, bot, message, normalized, jid, text, command, args, prefix, router, reply(text) }
+ * and `normalized` is the message as returned by normalizeMessage (./message.js)
+ */
+export class CommandRouter {
+    constructor({ prefix = '.', unknownCommand = 'reply' } = {}) {
+        this.prefix = prefix;
+        this.unknownCommand = unknownCommand;
+        this.commands = new Map();
+        this.aliases = new Map();
+        this.fallback = null;
+    }
+
+    register(command) {
+        if (!command?.name || typeof command.execute !== 'function') {
+            throw new Error('Commands need a name and an execute function');
+        }
+
+        const name = command.name.toLowerCase();
+        this.commands.set(name, command);
+        for (const alias of command.aliases || []) {
+            this.aliases.set(alias.toLowerCase(), name);
+        }
+    }
+
+    // Load every .js file in `dir` as a command module
+    async loadDirectory(dir) {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        let loaded = 0;
+        for (const file of files.filter((name) => name.endsWith('.js')).sort()) {
+            try {
+                const module = await import(pathToFileURL(path.resolve(dir, file)).href);
+                this.register(module.default);
+                loaded++;
+            } catch (error) {
+                logger.error({ err: error, file }, 'Failed to load command');
+            }
+        }
+
+        return loaded;
+    }
+
+    // Handler for messages that are not commands
+    setFallback(handler) {
+        this.fallback = handler;
+    }
+
+    find(name) {
+        const key = name.toLowerCase();
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+    }
+
+    list() {
+        return Array.from(this.commands.values());
+    }
+
+    // Resolves to true when a reply was sent (used for per-chat cooldowns)
+    async handle(session, message) {
+        const { bot } = session;
+        const jid = message.key.remoteJid;
+        if (!jid || jid === 'status@broadcast') return false;
+
+        const normalized = normalizeMessage(message);
+        // Deletes, reactions and edits never run commands or the fallback
+        if (!isChatContent(normalized) || normalized.edited) return false;
+
+        const text = (normalized.text || '').trim();
+        let replied = false;
+        const reply = (replyText) => {
+            replied = true;
+            return bot.sendMessage(jid, { text: replyText }, { quoted: message });
+        };
+
+        if (!text.startsWith(this.prefix)) {
+            if (this.fallback) {
+                await this.fallback({ session, bot, message, normalized, jid, text, reply });
+            }
+            return replied;
+        }
+
+        const [name = '', ...args] = parseArgs(text.slice(this.prefix.length));
+        const command = name ? this.find(name) : null;
+
+        if (!command) {
+            if (this.unknownCommand === 'reply' && name) {
+                await reply(`❓ Unknown command: *${this.prefix}${name}*\n\nType *${this.prefix}menu* to see available commands.`)
+                    .catch((error) => session.log.warn({ err: error, jid }, 'Failed to send unknown command reply'));
+            }
+            return replied;
+        }
+
+        session.log.info({ command: command.name, jid }, 'Running command');
+
+        try {
+            await command.execute({ session, bot, message, normalized, jid, text, command: command.name, args, prefix: this.prefix, router: this, reply });
+        } catch (error) {
+            session.log.error({ err: error, command: command.name }, 'Command failed');
+            await reply(`❌ Command failed: ${error.message}`).catch(() => {});
+        }
+        return replied;
+    }
+}
@@ -0,0 +1,234 @@
+import fs from 'fs';
+import { codedError } from './errors.js';
+import { logger, isLogLevel, LOG_LEVELS, LOG_FORMATS } from './logger.js';
+
+// Deployment settings. Each value comes from its environment variable, then from the JSON
+// config file (CONFIG_FILE, default ./config.json if present, same nesting as the keys below),
+// then the default. Secrets - API keys, encryption keys, passphrases - stay in the environment.
+const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const DEFAULT_CONFIG_FILE = './config.json';
+
+// Parsers take the raw env string or file value and return the typed value or throw a message
+const types = {
+    string: (value) => {
+        if (typeof value !== 'string' || !value.trim()) throw new Error('must be a non-empty string');
+        return value.trim();
+    },
+    integer: ({ min = 0 } = {}) => (value) => {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (!Number.isInteger(number) || number < min) throw new Error(`must be an integer >= ${min}`);
+        return number;
+    },
+    ratio: (value) => {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof number !== 'number' || !(number > 0 && number <= 1)) throw new Error('must be a number between 0 and 1');
+        return number;
+    },
+    boolean: (value) => {
+        if (typeof value === 'boolean') return value;
+        if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+        throw new Error('must be true or false');
+    },
+    logLevel: (value) => {
+        if (!isLogLevel(value)) throw new Error(`must be one of: ${LOG_LEVELS.join(', ')}`);
+        return value;
+    },
+    oneOf: (...choices) => (value) => {
+        if (!choices.includes(value)) throw new Error(`must be one of: ${choices.join(', ')}`);
+        return value;
+    },
+    // "none" (or "" in the config file) turns optional URLs off
+    url: ({ optional = false } = {}) => (value) => {
+        if (optional && (value === '' || value === 'none')) return null;
+        let parsed;
+        try {
+            parsed = new URL(value);
+        } catch (error) {
+            throw new Error('must be a valid URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('must use http or https');
+        return parsed.href;
+    },
+    phone: (value) => {
+        const digits = String(value).replace(/[\s\-+()]/g, '');
+        if (!/^\d{7,15}$/.test(digits)) throw new Error('must be a phone number with country code');
+        return digits;
+    },
+    // Baileys browser tuple: "Name,Browser,Version" or a 3-item array
+    browser: (value) => {
+        const parts = Array.isArray(value) ? value : String(value).split(',').map((part) => part.trim());
+        if (parts.length !== 3 || parts.some((part) => typeof part !== 'string' || !part)) {
+            throw new Error('must be three values: name, browser, version');
+        }
+        return parts;
+    },
+    // Express "trust proxy": a hop count, true/false or a list of addresses
+    trustProxy: (value) => {
+        if (typeof value === 'boolean' || typeof value === 'number') return value;
+        if (/^\d+$/.test(value)) return Number(value);
+        if (value === 'true' || value === 'false') return value === 'true';
+        return types.string(value);
+    }
+};
+
+const SCHEMA = {
+    'server.port': { env: 'PORT', type: types.integer({ min: 1 }), default: 10000 },
+    'server.trustProxy': { env: 'TRUST_PROXY', type: types.trustProxy, default: false },
+    // Running without API keys makes every caller an admin, so it has to be asked for explicitly
+    'server.authDisabled': { env: 'AUTH_DISABLED', type: types.boolean, default: false },
+
+    'branding.name': { env: 'BOT_NAME', type: types.string, default: 'DTZ NOVA X MD' },
+    'branding.tagline': { env: 'BOT_TAGLINE', type: types.string, default: 'Complete WhatsApp Bot Solution' },
+    'branding.version': { env: 'BOT_VERSION', type: types.string, default: pkg.version },
+    'branding.logoUrl': { env: 'BOT_LOGO_URL', type: types.url(), default: 'https://files.catbox.moe/avflwa.jpg' },
+    'branding.bannerUrl': { env: 'BOT_BANNER_URL', type: types.url({ optional: true }), default: 'https://files.catbox.moe/g1zze2.jpg' },
+    'branding.audioUrl': { env: 'BOT_AUDIO_URL', type: types.url({ optional: true }), default: 'https://files.catbox.moe/od0rav.mp3' },
+    'branding.channelUrl': { env: 'CHANNEL_URL', type: types.url(), default: 'https://chat.whatsapp.com/KJnHbIYysdrJhCLH8C1HFe' },
+    'branding.ownerNumber': { env: 'OWNER_NUMBER', type: types.phone, default: '94752978237' },
+    'branding.browser': { env: 'BROWSER', type: types.browser, default: ['DTZ-NOVA-X-MD', 'Chrome', pkg.version] },
+
+    'pairing.qrTimeoutMs': { env: 'QR_TIMEOUT_MS', type: types.integer({ min: 1000 }), default: 30000 },
+    'pairing.phoneTimeoutMs': { env: 'PHONE_PAIRING_TIMEOUT_MS', type: types.integer({ min: 1000 }), default: 60000 },
+    'pairing.codeDelayMs': { env: 'PAIRING_CODE_DELAY_MS', type: types.integer(), default: 3000 },
+    'pairing.rateWindowMs': { env: 'PAIRING_RATE_WINDOW_MS', type: types.integer({ min: 1000 }), default: 15 * 60 * 1000 },
+    'pairing.maxPerIp': { env: 'PAIRING_RATE_MAX_PER_IP', type: types.integer({ min: 1 }), default: 10 },
+    'pairing.maxPerNumber': { env: 'PAIRING_RATE_MAX_PER_NUMBER', type: types.integer({ min: 1 }), default: 3 },
+    'pairing.maxPending': { env: 'PAIRING_MAX_PENDING', type: types.integer({ min: 1 }), default: 20 },
+
+    'reconnect.maxAttempts': { env: 'RECONNECT_MAX_ATTEMPTS', type: types.integer({ min: 1 }), default: 10 },
+    'reconnect.baseDelayMs': { env: 'RECONNECT_BASE_DELAY_MS', type: types.integer({ min: 100 }), default: 2000 },
+    'reconnect.maxDelayMs': { env: 'RECONNECT_MAX_DELAY_MS', type: types.integer({ min: 100 }), default: 60000 },
+
+    'commands.prefix': { env: 'COMMAND_PREFIX', type: types.string, default: '.' },
+    'commands.unknownCommand': { env: 'UNKNOWN_COMMAND', type: types.oneOf('reply', 'ignore'), default: 'reply' },
+    'commands.autoReply': { env: 'AUTO_REPLY', type: types.boolean, default: false },
+
+    'welcome.sessionString': { env: 'WELCOME_SESSION_STRING', type: types.boolean, default: false },
+
+    // Unset means no message; see renderGreeting in lib/groups.js for placeholders
+    'groups.welcomeMessage': { env: 'GROUP_WELCOME_MESSAGE', type: types.string, default: null },
+    'groups.goodbyeMessage': { env: 'GROUP_GOODBYE_MESSAGE', type: types.string, default: null },
+
+    'rules.file': { env: 'CHAT_RULES_FILE', type: types.string, default: './sessions/chat-rules.json' },
+
+    'webhooks.file': { env: 'WEBHOOKS_FILE', type: types.string, default: './sessions/webhooks.json' },
+    'webhooks.maxAttempts': { env: 'WEBHOOK_MAX_ATTEMPTS', type: types.integer({ min: 1 }), default: 5 },
+    'webhooks.retryBaseMs': { env: 'WEBHOOK_RETRY_BASE_MS', type: types.integer({ min: 100 }), default: 2000 },
+
+    'health.stuckReconnectMs': { env: 'HEALTH_STUCK_RECONNECT_MS', type: types.integer({ min: 1000 }), default: 5 * 60 * 1000 },
+    'health.maxStuckSessions': { env: 'HEALTH_MAX_STUCK_SESSIONS', type: types.integer({ min: 1 }), default: 3 },
+    'health.maxEventLoopLagMs': { env: 'HEALTH_MAX_EVENT_LOOP_LAG_MS', type: types.integer({ min: 1 }), default: 500 },
+    'health.maxHeapRatio': { env: 'HEALTH_MAX_HEAP_RATIO', type: types.ratio, default: 0.9 },
+
+    'sessions.registryFile': { env: 'SESSION_REGISTRY_FILE', type: types.string, default: './sessions/registry.json' },
+
+    'messages.dir': { env: 'MESSAGE_STORE_DIR', type: types.string, default: './sessions/messages' },
+    'messages.maxPerChat': { env: 'MESSAGE_STORE_MAX_PER_CHAT', type: types.integer({ min: 1 }), default: 1000 },
+
+    'media.dir': { env: 'MEDIA_DIR', type: types.string, default: './sessions/media' },
+    'media.maxBytes': { env: 'MEDIA_MAX_BYTES', type: types.integer({ min: 1024 }), default: 16 * 1024 * 1024 },
+    'media.autoDownload': { env: 'MEDIA_AUTO_DOWNLOAD', type: types.boolean, default: true }
+};
+
+// Read by lib/logger.js straight from the environment (the logger starts first); checked here
+// so a typo stops startup instead of failing every session that creates a logger
+const LOGGER_ENV = {
+    LOG_LEVEL: types.logLevel,
+    BAILEYS_LOG_LEVEL: types.logLevel,
+    LOG_FORMAT: types.oneOf(...LOG_FORMATS)
+};
+
+function configError(problems) {
+    const error = codedError('INVALID_CONFIG', `Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    return error;
+}
+
+function readConfigFile(env) {
+    const file = env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        // Only an explicitly named file has to exist
+        if (error.code === 'ENOENT' && !env.CONFIG_FILE) return { file: null, values: {} };
+        throw configError([`${file}: ${error.message}`]);
+    }
+
+    try {
+        return { file, values: JSON.parse(raw) };
+    } catch (error) {
+        throw configError([`${file}: not valid JSON (${error.message})`]);
+    }
+}
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => (parent[key] ??= {}), object);
+    target[last] = value;
+}
+
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object') deepFreeze(value);
+    }
+    return Object.freeze(object);
+}
+
+/**
+ * Build the config from `env` and the config file. Throws an INVALID_CONFIG error
+ * listing every bad value, so one restart shows all of them.
+ */
+export function loadConfig(env = process.env) {
+    const { file, values } = readConfigFile(env);
+    const config = {};
+    const problems = [];
+
+    for (const [keyPath, spec] of Object.entries(SCHEMA)) {
+        const fromEnv = env[spec.env] !== undefined && env[spec.env] !== '';
+        const fileValue = getPath(values, keyPath);
+        const raw = fromEnv ? env[spec.env] : fileValue;
+
+        if (raw === undefined) {
+            setPath(config, keyPath, spec.default);
+            continue;
+        }
+
+        try {
+            setPath(config, keyPath, spec.type(raw));
+        } catch (error) {
+            problems.push(`${keyPath} (${fromEnv ? spec.env : file}) ${error.message}, got ${JSON.stringify(raw)}`);
+        }
+    }
+
+    for (const [name, type] of Object.entries(LOGGER_ENV)) {
+        if (env[name] === undefined || env[name] === '') continue;
+        try {
+            type(env[name]);
+        } catch (error) {
+            problems.push(`${name} ${error.message}, got ${JSON.stringify(env[name])}`);
+        }
+    }
+
+    if (problems.length > 0) throw configError(problems);
+    return deepFreeze(config);
+}
+
+function loadConfigOrExit() {
+    try {
+        return loadConfig();
+    } catch (error) {
+        if (error.code !== 'INVALID_CONFIG') throw error;
+        logger.fatal({ problems: error.problems }, error.message);
+        process.exit(1);
+    }
+}
+
+export const config = loadConfigOrExit();
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+
+// AES-256-GCM envelope: MAGIC | 12-byte nonce | 16-byte tag | ciphertext
+const MAGIC = Buffer.from('DTZ1');
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_SALT = 'dtz-nova-x-md';
+
+// A 64-char hex string is used as the raw key, anything else is treated as a passphrase
+export function deriveKey(secret) {
+    if (/^[0-9a-f]{64}$/i.test(secret)) return Buffer.from(secret, 'hex');
+    return crypto.scryptSync(secret, KEY_SALT, 32);
+}
+
+// Passphrase key with its own random salt, for data that leaves this deployment
+export function deriveKeyFromPassphrase(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32);
+}
+
+export function isEncrypted(buffer) {
+    return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+export function encrypt(plaintext, key) {
+    const nonce = crypto.randomBytes(NONCE_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return Buffer.concat([MAGIC, nonce, cipher.getAuthTag(), ciphertext]);
+}
+
+export function decrypt(buffer, key) {
+    if (!isEncrypted(buffer)) {
+        throw new Error('Data is not encrypted');
+    }
+
+    const nonceStart = MAGIC.length;
+    const tagStart = nonceStart + NONCE_LENGTH;
+    const dataStart = tagStart + TAG_LENGTH;
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(nonceStart, tagStart));
+    decipher.setAuthTag(buffer.subarray(tagStart, dataStart));
+
+    return Buffer.concat([decipher.update(buffer.subarray(dataStart)), decipher.final()]);
+}
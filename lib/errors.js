@@ -0,0 +1,6 @@
+// Errors carry a machine-readable `code`; routes map codes to HTTP statuses
+export function codedError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+// State files are replaced through a temp file and a rename, so a crash never leaves half a file behind
+export async function writeFileAtomic(file, data, { mode = 0o600 } = {}) {
+    const tmpFile = `${file}.tmp`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tmpFile, data, { mode });
+    await fs.rename(tmpFile, file);
+}
+
+/**
+ * Parsed JSON, or null when the file is missing. A file that does not parse is moved aside
+ * to <file>.corrupt-<timestamp> before null is returned, so the next write can't destroy
+ * what is left in it. Other read errors are thrown.
+ */
+export async function readJsonFile(file, description) {
+    let raw;
+    try {
+        raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        const corruptFile = `${file}.corrupt-${Date.now()}`;
+        await fs.rename(file, corruptFile);
+        logger.error({ err: error, file, movedTo: corruptFile }, `${description} is corrupt, starting from an empty one`);
+        return null;
+    }
+}
+
+/**
+ * Queued writer for a JSON state file: writes happen one at a time, in call order.
+ * The returned function resolves once its write is done; failures are logged, not thrown.
+ */
+export function createJsonWriter(file, description) {
+    let writeQueue = Promise.resolve();
+
+    return (data) => {
+        writeQueue = writeQueue
+            .then(() => writeFileAtomic(file, JSON.stringify(data, null, 2)))
+            .catch((error) => logger.warn({ err: error, file }, `${description} write failed`));
+
+        return writeQueue;
+    };
+}
@@ -0,0 +1,68 @@
+import { toJid } from './outbound.js';
+import { codedError } from './errors.js';
+
+// Group API helpers and the welcome/goodbye messages sent on group-participants.update
+export const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+export const groupError = (message) => codedError('INVALID_GROUP_REQUEST', message);
+
+// Accepts "120363012345678901@g.us" or just the id part
+export function toGroupJid(id) {
+    const value = String(id || '').trim();
+    const jid = value.includes('@') ? value : `${value}@g.us`;
+    if (!/^[\d-]+@g\.us$/.test(jid)) throw groupError(`"${value}" is not a group id`);
+    return jid;
+}
+
+export function toParticipantJids(participants) {
+    if (!Array.isArray(participants) || participants.length === 0) {
+        throw groupError('"participants" must be a non-empty array of phone numbers or JIDs');
+    }
+    return participants.map((participant) => {
+        try {
+            return toJid(participant);
+        } catch (error) {
+            throw groupError(`Invalid participant "${participant}": ${error.message}`);
+        }
+    });
+}
+
+// Baileys has used both plain JIDs and { id } objects for participants
+export const participantJid = (participant) => typeof participant === 'string' ? participant : participant?.id;
+
+export function describeGroup(metadata, { participants = true } = {}) {
+    return {
+        id: metadata.id,
+        subject: metadata.subject,
+        description: metadata.desc || null,
+        owner: metadata.owner || null,
+        createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+        size: metadata.size ?? metadata.participants?.length ?? 0,
+        announce: Boolean(metadata.announce),
+        restrict: Boolean(metadata.restrict),
+        ephemeralDuration: metadata.ephemeralDuration || null,
+        participants: participants
+            ? (metadata.participants || []).map((participant) => ({ jid: participant.id, admin: participant.admin || null }))
+            : undefined
+    };
+}
+
+// Placeholders: {user} (an @mention), {group}, {count}, {description}
+export function renderGreeting(template, { participant, metadata }) {
+    const values = {
+        user: `@${participant.split('@')[0]}`,
+        group: metadata.subject || '',
+        count: String(metadata.participants?.length ?? ''),
+        description: metadata.desc || ''
+    };
+    return template.replace(/\{(user|group|count|description)\}/g, (match, key) => values[key]);
+}
+
+// HTTP status for a failed Baileys group call: not admin, no such group, ...
+// WhatsApp's error code is in error.data; output.statusCode is Boom's own.
+// WhatsApp's 401 becomes 403: a 401 from this API means a missing or wrong API key
+export function groupFailureStatus(error) {
+    const status = Number(error.data) || error.output?.statusCode;
+    if (status === 401) return 403;
+    return [400, 403, 404, 406, 409].includes(status) ? status : 502;
+}
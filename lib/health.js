@@ -0,0 +1,92 @@
+import v8 from 'v8';
+import { monitorEventLoopDelay } from 'perf_hooks';
+import { SessionState } from './session-manager.js';
+import { config } from './config.js';
+
+// Liveness says the process runs; readiness says it can serve sessions.
+// Thresholds: how long reconnecting counts as stuck, how many stuck sessions are tolerated,
+// event-loop lag and the share of the V8 heap limit in use
+const STUCK_RECONNECT_MS = config.health.stuckReconnectMs;
+const MAX_STUCK_SESSIONS = config.health.maxStuckSessions;
+const MAX_EVENT_LOOP_LAG_MS = config.health.maxEventLoopLagMs;
+const MAX_HEAP_RATIO = config.health.maxHeapRatio;
+const STORAGE_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+const megabytes = (bytes) => round(bytes / 1024 / 1024);
+
+export function createHealthChecks({ sessionManager, authStore }) {
+    const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+    loopDelay.enable();
+
+    async function checkStorage() {
+        try {
+            await withTimeout(authStore.checkWritable(), STORAGE_TIMEOUT_MS, 'Storage write timed out');
+            return { ok: true, store: authStore.name };
+        } catch (error) {
+            return { ok: false, store: authStore.name, error: error.message };
+        }
+    }
+
+    function checkReconnecting() {
+        const cutoff = Date.now() - STUCK_RECONNECT_MS;
+        const reconnecting = sessionManager.list().filter((session) => session.state === SessionState.RECONNECTING);
+        const stuck = reconnecting.filter((session) => Date.parse(session.stateSince) < cutoff);
+
+        return {
+            ok: stuck.length < MAX_STUCK_SESSIONS,
+            reconnecting: reconnecting.length,
+            // Counts only: these checks are public and phone session ids contain the number
+            stuck: stuck.length,
+            threshold: MAX_STUCK_SESSIONS
+        };
+    }
+
+    // p99 delay since the previous readiness check
+    function checkEventLoop() {
+        const lagMs = round(loopDelay.percentile(99) / 1e6);
+        loopDelay.reset();
+        return { ok: lagMs < MAX_EVENT_LOOP_LAG_MS, lagMs, thresholdMs: MAX_EVENT_LOOP_LAG_MS };
+    }
+
+    function checkMemory() {
+        const { heapUsed, rss } = process.memoryUsage();
+        const heapLimit = v8.getHeapStatistics().heap_size_limit;
+        const ratio = Math.round(heapUsed / heapLimit * 100) / 100;
+
+        return {
+            ok: ratio < MAX_HEAP_RATIO,
+            heapUsedMb: megabytes(heapUsed),
+            heapLimitMb: megabytes(heapLimit),
+            rssMb: megabytes(rss),
+            ratio,
+            threshold: MAX_HEAP_RATIO
+        };
+    }
+
+    return {
+        liveness() {
+            return { status: 'ok', uptime: Math.floor(process.uptime()) };
+        },
+
+        // { ready, checks: { storage, reconnecting, eventLoop, memory } }
+        async readiness() {
+            const checks = {
+                storage: await checkStorage(),
+                reconnecting: checkReconnecting(),
+                eventLoop: checkEventLoop(),
+                memory: checkMemory()
+            };
+
+            return { ready: Object.values(checks).every((check) => check.ok), checks };
+        }
+    };
+}
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import pino from 'pino';
+
+// One logger for the whole app. LOG_LEVEL sets the level, LOG_FORMAT=json|pretty the output
+// (pretty by default outside production). BAILEYS_LOG_LEVEL sets the default socket level.
+// The logger exists before the config is loaded, so bad values fall back to the defaults here
+// and loadConfig (lib/config.js) reports them and stops startup.
+export const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+export const LOG_FORMATS = ['json', 'pretty'];
+
+export function isLogLevel(level) {
+    return LOG_LEVELS.includes(level);
+}
+
+const envChoice = (name, choices, fallback) => choices.includes(process.env[name]) ? process.env[name] : fallback;
+const format = envChoice('LOG_FORMAT', LOG_FORMATS, process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+export const logger = pino({
+    level: envChoice('LOG_LEVEL', LOG_LEVELS, 'info'),
+    base: { service: 'dtz-nova-x-md' },
+    transport: format === 'pretty'
+        ? { target: 'pino-pretty', options: { colorize: true, translateTime: 'SYS:standard', ignore: 'pid,hostname,service' } }
+        : undefined
+});
+
+export const BAILEYS_LOG_LEVEL = envChoice('BAILEYS_LOG_LEVEL', LOG_LEVELS, 'silent');
+
+// Context logger for a session; Baileys gets its own child so its level can be raised alone
+export function createSessionLoggers({ sessionId, number }, socketLevel = BAILEYS_LOG_LEVEL) {
+    const log = logger.child({ sessionId, number: number || undefined });
+    const socketLog = log.child({ module: 'baileys' }, { level: socketLevel });
+    return { log, socketLog };
+}
+
+// Gives every request an id (X-Request-Id is honoured and echoed) and req.log, and logs the response
+export function requestLogger(parent = logger) {
+    return (req, res, next) => {
+        const incoming = req.get('x-request-id');
+        req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = parent.child({ reqId: req.id });
+        res.setHeader('X-Request-Id', req.id);
+
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+            const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+            req.log[level]({
+                method: req.method,
+                url: req.originalUrl.replace(/([?&]apiKey=)[^&]*/, '$1[redacted]'),
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10
+            }, 'Request completed');
+        });
+
+        next();
+    };
+}
@@ -0,0 +1,151 @@
+import fs from 'fs/promises';
+import { statSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+import { normalizeMessage } from './message.js';
+import { codedError } from './errors.js';
+import { writeFileAtomic, readJsonFile } from './files.js';
+import { config } from './config.js';
+
+// Downloaded media: <dir>/<sessionId>/<messageId>.<ext> plus a <messageId>.json sidecar.
+// Files are served with the sniffed MIME type, never the one the sender declared.
+const FALLBACK_MIME = { mimetype: 'application/octet-stream', ext: 'bin' };
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Magic numbers of the formats WhatsApp carries; null when nothing matches
+export function sniffMime(buffer) {
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return { mimetype: 'image/jpeg', ext: 'jpg' };
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47])) return { mimetype: 'image/png', ext: 'png' };
+    if (startsWith(buffer, ascii('GIF8'))) return { mimetype: 'image/gif', ext: 'gif' };
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return { mimetype: 'image/webp', ext: 'webp' };
+    if (startsWith(buffer, ascii('OggS'))) return { mimetype: 'audio/ogg', ext: 'ogg' };
+    if (startsWith(buffer, ascii('ID3')) || startsWith(buffer, [0xff, 0xfb])) return { mimetype: 'audio/mpeg', ext: 'mp3' };
+    if (startsWith(buffer, ascii('%PDF'))) return { mimetype: 'application/pdf', ext: 'pdf' };
+    if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return { mimetype: 'application/zip', ext: 'zip' };
+
+    if (startsWith(buffer, ascii('ftyp'), 4)) {
+        const brand = buffer.subarray(8, 12).toString('ascii');
+        if (brand.startsWith('M4A')) return { mimetype: 'audio/mp4', ext: 'm4a' };
+        if (brand.startsWith('3gp')) return { mimetype: 'video/3gpp', ext: '3gp' };
+        return { mimetype: 'video/mp4', ext: 'mp4' };
+    }
+
+    return null;
+}
+
+// Local file references in outbound messages may only point at media downloaded by the same
+// session: `dir` is that session's folder (MediaStore#sessionDir), never the shared media root
+export function resolveMediaFile(file, dir) {
+    const root = path.resolve(dir);
+    const resolved = path.resolve(root, String(file));
+    if (!resolved.startsWith(root + path.sep)) {
+        throw codedError('INVALID_FILE', '"file" must be a file downloaded by this session');
+    }
+    // Sidecars and half-written files are not media
+    if (/\.(json|tmp)$/i.test(resolved)) {
+        throw codedError('INVALID_FILE', `"file" is not a media file: ${file}`);
+    }
+
+    let stats;
+    try {
+        stats = statSync(resolved);
+    } catch (error) {
+        throw codedError('INVALID_FILE', `"file" not found: ${file}`);
+    }
+    if (!stats.isFile()) throw codedError('INVALID_FILE', `"file" is not a file: ${file}`);
+
+    return resolved;
+}
+
+const safeName = (id) => String(id).replace(/[^\w-]/g, '_');
+
+export class MediaStore {
+    constructor({ dir = config.media.dir, maxBytes = config.media.maxBytes } = {}) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.inFlight = new Map(); // sessionId:messageId -> Promise
+    }
+
+    sessionDir(sessionId) {
+        return path.join(this.dir, safeName(sessionId));
+    }
+
+    filePath(sessionId, media) {
+        return path.resolve(this.sessionDir(sessionId), media.file);
+    }
+
+    // Sidecar of an already downloaded file, or null; an unreadable sidecar means downloading again
+    async get(sessionId, messageId) {
+        const sidecar = path.join(this.sessionDir(sessionId), `${safeName(messageId)}.json`);
+        return readJsonFile(sidecar, 'Media sidecar');
+    }
+
+    // Download the media of a WAMessage once; concurrent calls share the download
+    download(session, message) {
+        const key = `${session.sessionId}:${message.key.id}`;
+        if (!this.inFlight.has(key)) {
+            this.inFlight.set(key, this.fetch(session, message).finally(() => this.inFlight.delete(key)));
+        }
+        return this.inFlight.get(key);
+    }
+
+    async fetch(session, message) {
+        const existing = await this.get(session.sessionId, message.key.id);
+        if (existing) return existing;
+
+        const normalized = normalizeMessage(message);
+        if (!normalized.media) throw codedError('NOT_MEDIA', 'Message has no media');
+        if (normalized.media.fileLength > this.maxBytes) {
+            throw codedError('MEDIA_TOO_LARGE', `Media is ${normalized.media.fileLength} bytes, the limit is ${this.maxBytes}`);
+        }
+
+        // fileLength is the sender's claim, so the download is counted as it arrives and
+        // abandoned at the limit (leaving the loop early destroys the stream)
+        const stream = await downloadMediaMessage(message, 'stream', {}, {
+            logger: session.socketLog,
+            reuploadRequest: session.bot.updateMediaMessage
+        });
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of stream) {
+            size += chunk.length;
+            if (size > this.maxBytes) {
+                throw codedError('MEDIA_TOO_LARGE', `Media is over the limit of ${this.maxBytes} bytes`);
+            }
+            chunks.push(chunk);
+        }
+        const buffer = Buffer.concat(chunks, size);
+
+        const { mimetype, ext } = sniffMime(buffer) || FALLBACK_MIME;
+        const name = safeName(normalized.id);
+        const media = {
+            messageId: normalized.id,
+            chat: normalized.chat,
+            type: normalized.type,
+            mimetype,
+            declaredMimetype: normalized.media.mimetype,
+            fileName: normalized.media.fileName,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            file: `${name}.${ext}`,
+            downloadedAt: new Date().toISOString()
+        };
+
+        // The sidecar goes last: once it exists, the file it points to is complete
+        const dir = this.sessionDir(session.sessionId);
+        await writeFileAtomic(path.join(dir, media.file), buffer);
+        await writeFileAtomic(path.join(dir, `${name}.json`), JSON.stringify(media, null, 2));
+
+        session.log.debug({ id: media.messageId, mimetype, size: media.size }, 'Media downloaded');
+        return media;
+    }
+
+    async removeSession(sessionId) {
+        await fs.rm(this.sessionDir(sessionId), { recursive: true, force: true });
+    }
+}
@@ -0,0 +1,221 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { BufferJSON } from '@whiskeysockets/baileys';
+import { normalizeMessage, isChatContent } from './message.js';
+import { writeFileAtomic } from './files.js';
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+// Message history: one append-only JSONL file per session, indexed in memory by chat.
+// Each line keeps the raw WAMessage too, so stored messages can be quoted, forwarded or re-downloaded.
+const MAX_PER_CHAT = config.messages.maxPerChat;
+// Rewrite a file on load once it holds this many lines more than are kept
+const COMPACT_SLACK = 1000;
+
+function toRecord(message, upsertType) {
+    return {
+        ...normalizeMessage(message),
+        upsertType,
+        raw: {
+            key: message.key,
+            message: message.message,
+            messageTimestamp: Number(message.messageTimestamp) || null,
+            pushName: message.pushName || null
+        }
+    };
+}
+
+// API view: everything but the raw protobuf
+export function publicRecord({ raw, ...record }) {
+    return record;
+}
+
+function matchesQuery(record, terms) {
+    const haystack = [record.text, record.media?.fileName, record.pushName]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+}
+
+export class MessageStore {
+    constructor({ dir = config.messages.dir } = {}) {
+        this.dir = dir;
+        this.sessions = new Map();    // sessionId -> { chats: Map(jid -> [record]), ids: Map(id -> record) }
+        this.loading = new Map();     // sessionId -> Promise
+        this.writeQueues = new Map(); // sessionId -> Promise
+    }
+
+    fileFor(sessionId) {
+        return path.join(this.dir, `${sessionId}.jsonl`);
+    }
+
+    load(sessionId) {
+        if (this.sessions.has(sessionId)) return Promise.resolve(this.sessions.get(sessionId));
+        if (!this.loading.has(sessionId)) {
+            this.loading.set(sessionId, this.read(sessionId).finally(() => this.loading.delete(sessionId)));
+        }
+        return this.loading.get(sessionId);
+    }
+
+    async read(sessionId) {
+        const index = { chats: new Map(), ids: new Map() };
+        let lines = 0;
+
+        try {
+            const input = readline.createInterface({ input: createReadStream(this.fileFor(sessionId)), crlfDelay: Infinity });
+            for await (const line of input) {
+                if (!line.trim()) continue;
+                lines++;
+                try {
+                    this.index(index, JSON.parse(line, BufferJSON.reviver));
+                } catch (error) {
+                    logger.warn({ sessionId, line: lines }, 'Skipping unreadable message store line');
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn({ err: error, sessionId }, 'Message store read failed');
+            }
+        }
+
+        this.sessions.set(sessionId, index);
+
+        if (lines > index.ids.size + COMPACT_SLACK) {
+            await this.compact(sessionId, index);
+        }
+
+        return index;
+    }
+
+    // Add a record to the in-memory index, replacing an earlier copy and trimming the chat
+    index(index, record) {
+        const existing = index.ids.get(record.id);
+        if (existing) {
+            const previous = index.chats.get(existing.chat);
+            previous.splice(previous.indexOf(existing), 1);
+        }
+        const chat = index.chats.get(record.chat) || [];
+
+        // Kept oldest first; history sync can deliver older messages late
+        let position = chat.length;
+        while (position > 0 && chat[position - 1].timestamp > record.timestamp) position--;
+        chat.splice(position, 0, record);
+
+        for (const dropped of chat.splice(0, Math.max(chat.length - MAX_PER_CHAT, 0))) {
+            index.ids.delete(dropped.id);
+        }
+
+        index.chats.set(record.chat, chat);
+        index.ids.set(record.id, record);
+    }
+
+    enqueue(sessionId, task) {
+        const queue = (this.writeQueues.get(sessionId) || Promise.resolve())
+            .then(task)
+            .catch((error) => logger.warn({ err: error, sessionId }, 'Message store write failed'));
+        this.writeQueues.set(sessionId, queue);
+        return queue;
+    }
+
+    compact(sessionId, index) {
+        return this.enqueue(sessionId, async () => {
+            const file = this.fileFor(sessionId);
+            const records = [...index.chats.values()].flat();
+            const data = records.map((record) => JSON.stringify(record, BufferJSON.replacer)).join('\n') + '\n';
+
+            await writeFileAtomic(file, data);
+            logger.info({ sessionId, messages: records.length }, 'Message store compacted');
+        });
+    }
+
+    // Store the chat messages of a messages.upsert batch; edits rewrite the message they replace
+    async save(sessionId, messages, upsertType) {
+        const incoming = messages
+            .filter((message) => message.message && message.key?.remoteJid && message.key.remoteJid !== 'status@broadcast')
+            .map((message) => toRecord(message, upsertType))
+            .filter(isChatContent);
+        if (incoming.length === 0) return;
+
+        const index = await this.load(sessionId);
+        const records = [];
+        for (const record of incoming) {
+            if (record.editedId) {
+                const original = index.ids.get(record.editedId);
+                if (!original) continue;
+                records.push({ ...original, text: record.text, caption: record.caption, edited: true });
+            } else {
+                records.push(record);
+            }
+        }
+        if (records.length === 0) return;
+
+        for (const record of records) this.index(index, record);
+
+        const lines = records.map((record) => JSON.stringify(record, BufferJSON.replacer)).join('\n') + '\n';
+        await this.enqueue(sessionId, async () => {
+            await fs.mkdir(this.dir, { recursive: true });
+            await fs.appendFile(this.fileFor(sessionId), lines, { mode: 0o600 });
+        });
+    }
+
+    // Chats with their latest message, most recent first
+    async listChats(sessionId) {
+        const index = await this.load(sessionId);
+
+        return [...index.chats.entries()]
+            .filter(([, records]) => records.length > 0)
+            .map(([jid, records]) => {
+                const last = records[records.length - 1];
+                const lastIncoming = records.findLast((record) => !record.fromMe);
+                return {
+                    jid,
+                    name: lastIncoming?.pushName || null,
+                    messageCount: records.length,
+                    lastMessage: publicRecord(last)
+                };
+            })
+            .sort((a, b) => (b.lastMessage.timestamp || 0) - (a.lastMessage.timestamp || 0));
+    }
+
+    /**
+     * Messages of one chat, newest first.
+     * `before` is a message id or a unix timestamp; `q` keeps messages containing every word.
+     */
+    async listMessages(sessionId, jid, { before = null, limit = 50, q = null } = {}) {
+        const index = await this.load(sessionId);
+        let records = index.chats.get(jid) || [];
+
+        if (before) {
+            const cursor = index.ids.get(before);
+            records = cursor?.chat === jid
+                ? records.slice(0, records.indexOf(cursor))
+                : /^\d+$/.test(before) ? records.filter((record) => record.timestamp < Number(before)) : [];
+        }
+
+        if (q) {
+            const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+            records = records.filter((record) => matchesQuery(record, terms));
+        }
+
+        const page = records.slice(-limit).reverse();
+        return {
+            messages: page.map(publicRecord),
+            nextBefore: records.length > limit ? page[page.length - 1].id : null
+        };
+    }
+
+    // Full stored record, raw WAMessage included
+    async getMessage(sessionId, messageId) {
+        const index = await this.load(sessionId);
+        return index.ids.get(messageId) || null;
+    }
+
+    async removeSession(sessionId) {
+        await this.enqueue(sessionId, () => fs.rm(this.fileFor(sessionId), { force: true }));
+        this.sessions.delete(sessionId);
+        this.writeQueues.delete(sessionId);
+    }
+}
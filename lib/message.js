@@ -0,0 +1,174 @@
+// One normalized shape for incoming WAMessages, whatever wrappers and message types they use
+
+// Containers whose `.message` holds the real content
+const WRAPPERS = [
+    'ephemeralMessage',
+    'viewOnceMessage',
+    'viewOnceMessageV2',
+    'viewOnceMessageV2Extension',
+    'documentWithCaptionMessage',
+    'editedMessage',
+    'deviceSentMessage'
+];
+
+const VIEW_ONCE_WRAPPERS = ['viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension'];
+
+// Keys that sit next to the content and never are the content
+const META_KEYS = ['messageContextInfo', 'senderKeyDistributionMessage'];
+
+// Types that carry no chat content (deletes, key distribution, reactions)
+export const NON_CONTENT_TYPES = ['protocolMessage', 'senderKeyDistributionMessage', 'reactionMessage', 'unknown'];
+
+export const MEDIA_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+
+// protocolMessage.type for edits (proto.Message.ProtocolMessage.Type.MESSAGE_EDIT)
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+function contentType(content) {
+    return Object.keys(content).find((key) => !META_KEYS.includes(key) && content[key]) || 'unknown';
+}
+
+// Peel wrappers off, remembering which ones were seen
+function unwrap(content) {
+    const wrappers = [];
+    let current = content || {};
+
+    for (;;) {
+        const wrapper = WRAPPERS.find((key) => current[key]?.message);
+        if (!wrapper) break;
+        wrappers.push(wrapper);
+        current = current[wrapper].message;
+    }
+
+    return { content: current, wrappers };
+}
+
+function extractText(content, type) {
+    const inner = content[type];
+
+    switch (type) {
+        case 'conversation':
+            return content.conversation;
+        case 'extendedTextMessage':
+            return inner.text;
+        case 'imageMessage':
+        case 'videoMessage':
+        case 'documentMessage':
+            return inner.caption;
+        case 'buttonsResponseMessage':
+            return inner.selectedDisplayText || inner.selectedButtonId;
+        case 'listResponseMessage':
+            return inner.title || inner.singleSelectReply?.selectedRowId;
+        case 'templateButtonReplyMessage':
+            return inner.selectedDisplayText || inner.selectedId;
+        case 'interactiveResponseMessage':
+            return inner.body?.text;
+        case 'buttonsMessage':
+            return inner.contentText;
+        case 'listMessage':
+            return inner.description || inner.title;
+        case 'templateMessage':
+            return inner.hydratedTemplate?.hydratedContentText;
+        case 'contactMessage':
+            return inner.displayName;
+        case 'locationMessage':
+        case 'liveLocationMessage':
+            return inner.name || inner.address || inner.caption;
+        case 'pollCreationMessage':
+        case 'pollCreationMessageV2':
+        case 'pollCreationMessageV3':
+            return inner.name;
+        case 'reactionMessage':
+            return inner.text;
+        default:
+            return null;
+    }
+}
+
+function extractMedia(content, type) {
+    if (!MEDIA_TYPES.includes(type)) return null;
+
+    const media = content[type];
+    return {
+        mimetype: media.mimetype || null,
+        fileName: media.fileName || null,
+        fileLength: Number(media.fileLength) || null,
+        seconds: media.seconds || null,
+        width: media.width || null,
+        height: media.height || null,
+        ptt: type === 'audioMessage' ? Boolean(media.ptt) : undefined
+    };
+}
+
+// Type, text, caption and media of a bare message content object
+function describeContent(rawContent) {
+    const { content, wrappers } = unwrap(rawContent);
+    const type = contentType(content);
+    const text = extractText(content, type) || null;
+
+    return {
+        content,
+        wrappers,
+        type,
+        text,
+        caption: MEDIA_TYPES.includes(type) ? content[type].caption || null : null,
+        media: extractMedia(content, type)
+    };
+}
+
+/**
+ * Normalize a WAMessage:
+ *   { id, chat, sender, fromMe, pushName, timestamp, isGroup, type, text, caption, media,
+ *     quoted, mentions, viewOnce, ephemeral, edited, editedId }
+ * `type` is the content type after unwrapping (e.g. 'imageMessage'), `text` the readable
+ * text of any type (caption, selected button, ...). Edits carry the new content and
+ * `editedId`, the id of the message they replace.
+ */
+export function normalizeMessage(message) {
+    const key = message.key || {};
+    let described = describeContent(message.message);
+    let editedId = null;
+
+    // Edits are protocolMessage { type: MESSAGE_EDIT, key, editedMessage }, usually inside an editedMessage wrapper
+    const protocol = described.type === 'protocolMessage' ? described.content.protocolMessage : null;
+    if (protocol?.type === PROTOCOL_MESSAGE_EDIT && protocol.editedMessage) {
+        const edit = describeContent(protocol.editedMessage);
+        editedId = protocol.key?.id || null;
+        described = { ...edit, wrappers: [...described.wrappers, ...edit.wrappers] };
+    }
+
+    const { content, wrappers, type, text, caption, media } = described;
+    const contextInfo = content[type]?.contextInfo;
+    const quotedContent = contextInfo?.quotedMessage ? describeContent(contextInfo.quotedMessage) : null;
+
+    return {
+        id: key.id,
+        chat: key.remoteJid,
+        sender: key.participant || key.remoteJid,
+        fromMe: Boolean(key.fromMe),
+        pushName: message.pushName || null,
+        timestamp: Number(message.messageTimestamp) || null,
+        isGroup: Boolean(key.remoteJid?.endsWith('@g.us')),
+        type,
+        text,
+        caption,
+        media,
+        quoted: contextInfo?.stanzaId
+            ? {
+                id: contextInfo.stanzaId,
+                sender: contextInfo.participant || null,
+                type: quotedContent?.type || null,
+                text: quotedContent?.text || null
+            }
+            : null,
+        mentions: contextInfo?.mentionedJid || [],
+        viewOnce: wrappers.some((wrapper) => VIEW_ONCE_WRAPPERS.includes(wrapper)),
+        ephemeral: wrappers.includes('ephemeralMessage'),
+        edited: Boolean(editedId) || wrappers.includes('editedMessage'),
+        editedId
+    };
+}
+
+export function isChatContent(normalized) {
+    return !NON_CONTENT_TYPES.includes(normalized.type);
+}
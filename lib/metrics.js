@@ -0,0 +1,106 @@
+import client from 'prom-client';
+import { SessionState } from './session-manager.js';
+
+// Prometheus metrics served at GET /metrics
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const sessionsGauge = new client.Gauge({
+    name: 'whatsapp_sessions',
+    help: 'Active sessions by state',
+    labelNames: ['state'],
+    registers: [registry]
+});
+
+const pairingAttempts = new client.Counter({
+    name: 'whatsapp_pairing_attempts_total',
+    help: 'Pairing sessions started',
+    labelNames: ['method'],
+    registers: [registry]
+});
+
+const pairingSuccesses = new client.Counter({
+    name: 'whatsapp_pairing_successes_total',
+    help: 'Pairing sessions that linked a device',
+    labelNames: ['method'],
+    registers: [registry]
+});
+
+const pairingFailures = new client.Counter({
+    name: 'whatsapp_pairing_failures_total',
+    help: 'Pairing sessions closed before a device was linked',
+    labelNames: ['method'],
+    registers: [registry]
+});
+
+const messagesReceived = new client.Counter({
+    name: 'whatsapp_messages_received_total',
+    help: 'Messages received from other chats',
+    registers: [registry]
+});
+
+const messagesSent = new client.Counter({
+    name: 'whatsapp_messages_sent_total',
+    help: 'Messages sent by the linked accounts, from the API, commands or the phone',
+    registers: [registry]
+});
+
+const reconnects = new client.Counter({
+    name: 'whatsapp_reconnects_total',
+    help: 'Reconnects scheduled, by DisconnectReason',
+    labelNames: ['reason'],
+    registers: [registry]
+});
+
+export const sendDuration = new client.Histogram({
+    name: 'whatsapp_send_duration_seconds',
+    help: 'Time taken by POST /api/sessions/:id/messages to send a message',
+    labelNames: ['type', 'status'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration by route',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 30],
+    registers: [registry]
+});
+
+// Wire session counters to the SessionManager events
+export function instrumentSessions(sessionManager) {
+    sessionsGauge.collect = function () {
+        const counts = Object.fromEntries(Object.values(SessionState).map((state) => [state, 0]));
+        for (const session of sessionManager.list()) counts[session.state]++;
+        for (const [state, count] of Object.entries(counts)) this.set({ state }, count);
+    };
+
+    sessionManager.on('created', (session) => pairingAttempts.inc({ method: session.method }));
+    sessionManager.on('paired', (session) => pairingSuccesses.inc({ method: session.method }));
+    sessionManager.on('removed', (session) => {
+        if (session.justPaired) pairingFailures.inc({ method: session.method });
+    });
+
+    // Only reconnects planned after a disconnect; manual restarts are not counted
+    sessionManager.on('reconnect', (session, { reason }) => reconnects.inc({ reason: reason || 'unknown' }));
+
+    sessionManager.on('messages.upsert', (session, { messages }) => {
+        for (const message of messages) {
+            if (message.key?.fromMe) messagesSent.inc();
+            else messagesReceived.inc();
+        }
+    });
+}
+
+// Express middleware timing every request; routes are labelled by their pattern, not the raw URL
+export function httpMetrics() {
+    return (req, res, next) => {
+        const end = httpDuration.startTimer();
+        res.on('finish', () => {
+            const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+            end({ method: req.method, route, status_code: res.statusCode });
+        });
+        next();
+    };
+}
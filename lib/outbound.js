@@ -0,0 +1,151 @@
+import { proto } from '@whiskeysockets/baileys';
+import { resolveMediaFile } from './media.js';
+import { codedError } from './errors.js';
+
+// Builds Baileys message content from the outbound REST payloads
+export const MESSAGE_TYPES = ['text', 'image', 'video', 'document', 'audio', 'sticker', 'location', 'contact'];
+
+const payloadError = (message) => codedError('INVALID_PAYLOAD', message);
+
+// Accepts a full JID or a phone number in any formatting
+export function toJid(to) {
+    if (typeof to !== 'string' || !to.trim()) {
+        throw payloadError('"to" must be a JID or phone number');
+    }
+
+    if (to.includes('@')) return to.trim();
+
+    const digits = to.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15) {
+        throw payloadError('"to" is not a valid phone number');
+    }
+
+    return `${digits}@s.whatsapp.net`;
+}
+
+// Media can be a multipart upload (payload.buffer), a file the sending session downloaded
+// (a name inside `mediaDir`, e.g. "3EB0C4F1A2.jpg"), an http(s) URL or base64 data
+function mediaSource(payload, mediaDir) {
+    if (Buffer.isBuffer(payload.buffer)) return payload.buffer;
+
+    if (payload.file) {
+        if (!mediaDir) throw payloadError('"file" references are not supported here');
+        try {
+            return { url: resolveMediaFile(payload.file, mediaDir) };
+        } catch (error) {
+            throw payloadError(error.message);
+        }
+    }
+
+    if (payload.url) {
+        // Baileys reads any other "url" from the local disk
+        if (!/^https?:\/\//i.test(payload.url)) throw payloadError('"url" must be an http or https URL');
+        return { url: payload.url };
+    }
+
+    if (payload.data) return Buffer.from(payload.data, 'base64');
+    throw payloadError(`"${payload.type}" messages need an uploaded file, a file, a url or base64 data`);
+}
+
+function buildVcard({ name, phone, organization }) {
+    const digits = String(phone).replace(/\D/g, '');
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${name}`,
+        organization ? `ORG:${organization};` : null,
+        `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+        'END:VCARD'
+    ].filter(Boolean).join('\n');
+}
+
+export function buildMessageContent(payload, { mediaDir = null } = {}) {
+    const { type = 'text' } = payload;
+
+    switch (type) {
+        case 'text':
+            if (!payload.text) throw payloadError('"text" is required');
+            return { text: String(payload.text) };
+
+        case 'image':
+            return { image: mediaSource(payload, mediaDir), caption: payload.caption };
+
+        case 'video':
+            return {
+                video: mediaSource(payload, mediaDir),
+                caption: payload.caption,
+                mimetype: payload.mimetype || 'video/mp4',
+                gifPlayback: payload.gifPlayback === true || payload.gifPlayback === 'true'
+            };
+
+        case 'sticker':
+            return { sticker: mediaSource(payload, mediaDir) };
+
+        case 'document':
+            return {
+                document: mediaSource(payload, mediaDir),
+                mimetype: payload.mimetype || 'application/octet-stream',
+                fileName: payload.fileName || 'document',
+                caption: payload.caption
+            };
+
+        case 'audio':
+            return {
+                audio: mediaSource(payload, mediaDir),
+                mimetype: payload.mimetype || 'audio/mp4',
+                ptt: payload.ptt === true || payload.ptt === 'true'
+            };
+
+        case 'location': {
+            const latitude = Number(payload.latitude);
+            const longitude = Number(payload.longitude);
+            if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+                throw payloadError('"latitude" and "longitude" must be numbers');
+            }
+            return {
+                location: {
+                    degreesLatitude: latitude,
+                    degreesLongitude: longitude,
+                    name: payload.name,
+                    address: payload.address
+                }
+            };
+        }
+
+        case 'contact': {
+            const contacts = payload.contacts || (payload.contact ? [payload.contact] : []);
+            if (contacts.length === 0 || contacts.some((contact) => !contact.name || !contact.phone)) {
+                throw payloadError('"contact" needs a name and phone');
+            }
+            return {
+                contacts: {
+                    displayName: contacts.length === 1 ? contacts[0].name : `${contacts.length} contacts`,
+                    contacts: contacts.map((contact) => ({ vcard: buildVcard(contact) }))
+                }
+            };
+        }
+
+        default:
+            throw payloadError(`Unsupported message type "${type}". Use one of: ${MESSAGE_TYPES.join(', ')}`);
+    }
+}
+
+// Minimal WAMessage for replying: { id, fromMe?, participant?, text? }
+export function buildQuoted(jid, quoted) {
+    if (!quoted) return undefined;
+    if (!quoted.id) throw payloadError('"quoted.id" is required');
+
+    return {
+        key: {
+            remoteJid: jid,
+            id: quoted.id,
+            fromMe: Boolean(quoted.fromMe),
+            participant: quoted.participant
+        },
+        message: { conversation: quoted.text || '' }
+    };
+}
+
+export function statusName(status) {
+    return proto.WebMessageInfo.Status[status] || 'PENDING';
+}
@@ -0,0 +1,109 @@
+import { codedError } from './errors.js';
+
+// Phone number validation and E.164 normalization for phone pairing.
+// `pattern` matches the national significant number (no trunk 0, no country code).
+export const COUNTRIES = [
+    { iso: 'LK', name: 'Sri Lanka', dialCode: '94', trunkPrefix: '0', lengths: [9], pattern: /^[1-9]\d{8}$/, example: '77 123 4567' },
+    { iso: 'IN', name: 'India', dialCode: '91', trunkPrefix: '0', lengths: [10], pattern: /^[6-9]\d{9}$/, example: '98765 43210' },
+    { iso: 'US', name: 'USA/Canada', dialCode: '1', trunkPrefix: '1', lengths: [10], pattern: /^[2-9]\d{2}[2-9]\d{6}$/, example: '201 555 0123' },
+    { iso: 'GB', name: 'UK', dialCode: '44', trunkPrefix: '0', lengths: [9, 10], pattern: /^[1-9]\d{8,9}$/, example: '7400 123456' },
+    { iso: 'AU', name: 'Australia', dialCode: '61', trunkPrefix: '0', lengths: [9], pattern: /^[2-478]\d{8}$/, example: '412 345 678' }
+];
+
+// E.164 allows at most 15 digits; nothing on WhatsApp is shorter than 8 with its country code
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+export function findCountryByDialCode(dialCode) {
+    return COUNTRIES.find((country) => country.dialCode === dialCode) || null;
+}
+
+// Longest dial code first, so e.g. "1" does not shadow a longer code
+function detectCountry(digits) {
+    return [...COUNTRIES]
+        .sort((a, b) => b.dialCode.length - a.dialCode.length)
+        .find((country) => digits.startsWith(country.dialCode)) || null;
+}
+
+function validateNational(country, national) {
+    const example = `Example: +${country.dialCode} ${country.example}`;
+
+    if (national.length < Math.min(...country.lengths)) {
+        throw codedError('NUMBER_TOO_SHORT', `Too short for a ${country.name} number. ${example}`);
+    }
+    if (national.length > Math.max(...country.lengths)) {
+        throw codedError('NUMBER_TOO_LONG', `Too long for a ${country.name} number. ${example}`);
+    }
+    if (!country.pattern.test(national)) {
+        throw codedError('INVALID_NUMBER', `Not a valid ${country.name} number. ${example}`);
+    }
+}
+
+/**
+ * Normalize user input to E.164.
+ * `dialCode` is optional; without it the number must start with its country code.
+ * Returns { e164: '+94771234567', digits: '94771234567', country } or throws
+ * an Error whose `code` names the problem.
+ */
+export function normalizePhoneNumber(input, dialCode = null) {
+    if (typeof input !== 'string' || !input.trim()) {
+        throw codedError('NUMBER_REQUIRED', 'Please provide a phone number');
+    }
+
+    if (/[^\d\s\-+().]/.test(input)) {
+        throw codedError('INVALID_CHARACTERS', 'Phone numbers may only contain digits, spaces, +, -, ( and )');
+    }
+
+    const hasPlus = input.trim().startsWith('+');
+    let digits = input.replace(/\D/g, '');
+    if (!hasPlus && digits.startsWith('00')) digits = digits.slice(2);
+
+    let country = null;
+
+    if (dialCode) {
+        country = findCountryByDialCode(String(dialCode).replace(/\D/g, ''));
+        if (!country) {
+            throw codedError('UNSUPPORTED_COUNTRY', `Unsupported country code +${dialCode}`);
+        }
+
+        // The dropdown adds the country code; users often type it again, or a trunk 0
+        let national = digits;
+        if (hasPlus || (national.startsWith(country.dialCode) && !country.pattern.test(national))) {
+            if (!national.startsWith(country.dialCode)) {
+                throw codedError('COUNTRY_MISMATCH', `Number does not belong to ${country.name} (+${country.dialCode})`);
+            }
+            national = national.slice(country.dialCode.length);
+        }
+        if (national.startsWith(country.trunkPrefix) && !country.pattern.test(national)) {
+            national = national.slice(country.trunkPrefix.length);
+        }
+
+        validateNational(country, national);
+        digits = country.dialCode + national;
+    } else {
+        // Checked after the 00 international prefix is gone, so only a trunk 0 lands here
+        if (!hasPlus && digits.startsWith('0')) {
+            throw codedError('MISSING_COUNTRY_CODE', 'Include the country code, e.g. +94 77 123 4567');
+        }
+
+        country = detectCountry(digits);
+        if (country) {
+            let national = digits.slice(country.dialCode.length);
+            // "+94 077..." - a trunk 0 kept after the country code
+            if (national.startsWith(country.trunkPrefix) && !country.pattern.test(national)) {
+                national = national.slice(country.trunkPrefix.length);
+            }
+            validateNational(country, national);
+            digits = country.dialCode + national;
+        }
+    }
+
+    if (digits.length < MIN_DIGITS) {
+        throw codedError('NUMBER_TOO_SHORT', 'Phone number is too short');
+    }
+    if (digits.length > MAX_DIGITS) {
+        throw codedError('NUMBER_TOO_LONG', 'Phone number is too long (E.164 allows at most 15 digits)');
+    }
+
+    return { e164: `+${digits}`, digits, country: country ? country.iso : null };
+}
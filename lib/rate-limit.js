@@ -0,0 +1,96 @@
+import { normalizePhoneNumber } from './phone.js';
+import { config } from './config.js';
+
+// In-memory limits for the pairing endpoints: fixed windows per IP and per phone number,
+// plus a global cap on pairings that have not connected yet
+const WINDOW_MS = config.pairing.rateWindowMs;
+const MAX_PER_IP = config.pairing.maxPerIp;
+const MAX_PER_NUMBER = config.pairing.maxPerNumber;
+const MAX_PENDING = config.pairing.maxPending;
+const PENDING_RETRY_AFTER_S = 30;
+
+export class FixedWindowLimiter {
+    constructor({ windowMs, max }) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.hits = new Map();
+
+        // Forget expired windows so the map doesn't grow forever
+        this.sweeper = setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of this.hits) {
+                if (entry.resetAt <= now) this.hits.delete(key);
+            }
+        }, windowMs);
+        this.sweeper.unref();
+    }
+
+    // Count a hit; returns { allowed, retryAfter } with retryAfter in seconds
+    hit(key) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + this.windowMs };
+            this.hits.set(key, entry);
+        }
+
+        entry.count++;
+        return {
+            allowed: entry.count <= this.max,
+            retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+        };
+    }
+}
+
+// One budget per number however it is written: "0771234567&country=94", "+94 77 123 4567", "0094771234567"
+function numberKey({ number, country }) {
+    if (typeof number !== 'string') return '';
+
+    try {
+        return normalizePhoneNumber(number, typeof country === 'string' && country ? country : null).digits;
+    } catch (error) {
+        // Invalid numbers are rejected by the route; they still count against their raw digits
+        return number.replace(/\D/g, '');
+    }
+}
+
+function tooManyRequests(res, retryAfter, message) {
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message,
+        retryAfter
+    });
+}
+
+/**
+ * Middleware for routes that start a pairing socket.
+ * countPending() returns how many sessions are still waiting to be paired.
+ */
+export function createPairingLimiter({ countPending }) {
+    const byIp = new FixedWindowLimiter({ windowMs: WINDOW_MS, max: MAX_PER_IP });
+    const byNumber = new FixedWindowLimiter({ windowMs: WINDOW_MS, max: MAX_PER_NUMBER });
+
+    return (req, res, next) => {
+        if (countPending() >= MAX_PENDING) {
+            return tooManyRequests(res, PENDING_RETRY_AFTER_S, 'Too many pairings in progress. Please try again shortly.');
+        }
+
+        const ipLimit = byIp.hit(req.ip);
+        if (!ipLimit.allowed) {
+            return tooManyRequests(res, ipLimit.retryAfter, 'Too many pairing attempts from this address.');
+        }
+
+        const number = numberKey(req.query);
+        if (number) {
+            const numberLimit = byNumber.hit(number);
+            if (!numberLimit.allowed) {
+                return tooManyRequests(res, numberLimit.retryAfter, 'Too many pairing attempts for this number.');
+            }
+        }
+
+        next();
+    };
+}
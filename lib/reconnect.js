@@ -0,0 +1,65 @@
+import { DisconnectReason } from '@whiskeysockets/baileys';
+import { config } from './config.js';
+
+// Reconnect policy for closed sockets, driven by Baileys' DisconnectReason codes
+const MAX_ATTEMPTS = config.reconnect.maxAttempts;
+const BASE_DELAY_MS = config.reconnect.baseDelayMs;
+const MAX_DELAY_MS = config.reconnect.maxDelayMs;
+
+// Closes that reconnecting cannot fix: the device was unlinked, another client took over,
+// or WhatsApp refused the account
+const FATAL_REASONS = new Set([
+    DisconnectReason.loggedOut,
+    DisconnectReason.connectionReplaced,
+    DisconnectReason.forbidden,
+    DisconnectReason.multideviceMismatch
+]);
+
+export function getDisconnectCode(lastDisconnect) {
+    return lastDisconnect?.error?.output?.statusCode ?? null;
+}
+
+export function getDisconnectReasonName(code) {
+    const match = Object.entries(DisconnectReason).find(([, value]) => value === code);
+    return match ? match[0] : 'unknown';
+}
+
+export function isLoggedOut(code) {
+    return code === DisconnectReason.loggedOut;
+}
+
+export function isRecoverable(code) {
+    return !FATAL_REASONS.has(code);
+}
+
+// restartRequired is part of normal pairing, so it reconnects at once without using up an attempt
+export function getReconnectDelay(code, attempt) {
+    if (code === DisconnectReason.restartRequired) return 0;
+
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Decide what to do with a closed socket.
+ * Returns { action: 'logout' | 'reconnect' | 'give_up', code, reason, attempt, delay }
+ */
+export function planReconnect(lastDisconnect, previousAttempts) {
+    const code = getDisconnectCode(lastDisconnect);
+    const reason = getDisconnectReasonName(code);
+
+    if (isLoggedOut(code)) {
+        return { action: 'logout', code, reason };
+    }
+
+    if (!isRecoverable(code)) {
+        return { action: 'give_up', code, reason };
+    }
+
+    const attempt = code === DisconnectReason.restartRequired ? previousAttempts : previousAttempts + 1;
+    if (attempt > MAX_ATTEMPTS) {
+        return { action: 'give_up', code, reason, attempt: previousAttempts };
+    }
+
+    return { action: 'reconnect', code, reason, attempt, delay: getReconnectDelay(code, attempt) };
+}
@@ -0,0 +1,562 @@
+import { EventEmitter } from 'events';
+import {
+    makeWASocket,
+    delay,
+    makeCacheableSignalKeyStore
+} from '@whiskeysockets/baileys';
+import {
+    listRegisteredSessions,
+    getRegisteredSession,
+    registerSession,
+    unregisterSession
+} from './session-registry.js';
+import { planReconnect } from './reconnect.js';
+import { codedError } from './errors.js';
+import { logger, createSessionLoggers, isLogLevel } from './logger.js';
+import { config } from './config.js';
+
+export const SessionState = Object.freeze({
+    PENDING: 'pending',
+    QR_READY: 'qr_ready',
+    CODE_ISSUED: 'code_issued',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    CLOSED: 'closed'
+});
+
+// Baileys socket events re-emitted as (session, data)
+const FORWARDED_EVENTS = [
+    'messages.upsert',
+    'messages.update',
+    'message-receipt.update',
+    'presence.update',
+    'group-participants.update'
+];
+
+const PAIRING_CODE_DELAY_MS = config.pairing.codeDelayMs;
+// Baileys keeps the first QR for 60s and each refreshed one for 20s
+const QR_FIRST_TTL_MS = 60000;
+const QR_REFRESH_TTL_MS = 20000;
+const PHONE_PAIRING_TIMEOUT_MS = config.pairing.phoneTimeoutMs;
+
+/**
+ * Owns every WhatsApp socket: creation, lifecycle events, reconnects and cleanup.
+ *
+ * Events:
+ *   state            (session, previousState)
+ *   qr               (session, qr) - session.qrExpiresAt holds its expiry
+ *   code             (session, pairingCode)
+ *   connection.update (session, update)
+ *   messages.upsert, messages.update, message-receipt.update,
+ *   presence.update, group-participants.update  (session, data) - forwarded from Baileys
+ *   disconnect       (session, lastDisconnect) - { code, reason, at }
+ *   reconnect        (session, { reason, attempt, delay }) - a reconnect after a disconnect was scheduled
+ *   paired           (session) - first connection after a fresh pairing
+ *   removed          (session)
+ */
+export class SessionManager extends EventEmitter {
+    // authStore: one of the lib/auth-store backends
+    constructor({ authStore }) {
+        super();
+        // Every SSE client and pending waitForState listens on 'state' and 'removed'
+        this.setMaxListeners(0);
+        this.authStore = authStore;
+        this.sessions = new Map();
+        this.shuttingDown = false;
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+
+    list() {
+        return Array.from(this.sessions.values());
+    }
+
+    // Live session for a phone number (digits only), whether paired by code or by QR
+    findByNumber(number) {
+        return this.list().find((session) => {
+            if (session.state === SessionState.CLOSED) return false;
+            const linkedNumber = session.bot?.user?.id?.split(/[:@]/)[0];
+            return session.number === number || linkedNumber === number;
+        }) || null;
+    }
+
+    // Raise or lower the Baileys log level of one session at runtime
+    setSocketLogLevel(sessionId, level) {
+        const session = this.get(sessionId);
+        if (!session) throw codedError('NOT_FOUND', 'Session not found or expired');
+        if (!isLogLevel(level)) throw codedError('INVALID_LEVEL', `Unknown log level "${level}"`);
+
+        session.socketLog.level = level;
+        session.log.info({ level }, 'Socket log level changed');
+        return session;
+    }
+
+    // Public view of a session for the API
+    describe(session) {
+        const user = session.bot?.user;
+
+        return {
+            sessionId: session.sessionId,
+            state: session.state,
+            method: session.method,
+            number: session.number,
+            jid: user?.id || null,
+            pushName: user?.name || null,
+            owner: session.owner,
+            storage: session.storage,
+            createdAt: session.createdAt,
+            connectedAt: session.connectedAt,
+            lastSeenAt: session.lastSeenAt,
+            lastDisconnect: session.lastDisconnect,
+            reconnectAttempts: session.reconnectAttempts,
+            reconnectCount: session.reconnectCount,
+            socketLogLevel: session.socketLog.level,
+            messages: {
+                in: session.messagesIn,
+                out: session.messagesOut
+            }
+        };
+    }
+
+    // Sessions still waiting for a scan or a pairing code to be entered
+    countPending() {
+        const pendingStates = [SessionState.PENDING, SessionState.QR_READY, SessionState.CODE_ISSUED];
+        return this.list().filter((session) => pendingStates.includes(session.state)).length;
+    }
+
+    // Start a new pairing session; method is 'qr' or 'phone', owner is the creating API key name
+    async create({ method, number = null, owner = null }) {
+        const sessionId = method === 'phone'
+            ? `session_${number}_${Date.now()}`
+            : `session_${Date.now()}`;
+
+        const session = this.track({ sessionId, method, number, owner, justPaired: true });
+        this.emit('created', session);
+
+        try {
+            await this.connect(sessionId);
+        } catch (error) {
+            await this.cleanup(sessionId);
+            throw error;
+        }
+
+        return session;
+    }
+
+    // Start a session from credentials exported elsewhere (see lib/session-string.js)
+    async importSession({ creds, owner = null }) {
+        // Digits only: the id ends up in file paths
+        const number = creds.me.id.split(/[:@]/)[0].replace(/\D/g, '');
+        if (!number) throw codedError('INVALID_CREDENTIALS', 'Credentials have no account number');
+        if (this.findByNumber(number)) {
+            throw codedError('ALREADY_ACTIVE', 'This account already has an active session');
+        }
+
+        const sessionId = `session_${number}_${Date.now()}`;
+        const { state, saveCreds } = await this.authStore.useAuthState(sessionId);
+        Object.assign(state.creds, creds);
+        await saveCreds();
+
+        const session = this.track({ sessionId, method: 'import', number, owner, justPaired: false });
+
+        try {
+            await this.connect(sessionId);
+        } catch (error) {
+            await this.cleanup(sessionId);
+            throw error;
+        }
+
+        return session;
+    }
+
+    async requestPairingCode(sessionId) {
+        const session = this.get(sessionId);
+        if (!session) throw codedError('NOT_FOUND', 'Session not found or expired');
+
+        if (session.bot.authState.creds.registered) {
+            throw codedError('ALREADY_REGISTERED', 'This number appears to be already registered');
+        }
+
+        await delay(PAIRING_CODE_DELAY_MS);
+
+        const code = await session.bot.requestPairingCode(session.number);
+        session.pairingCode = code;
+        this.setState(session, SessionState.CODE_ISSUED);
+        this.emit('code', session, code);
+
+        // Drop the session if the code is never entered; handleOpen clears the timer
+        session.pairingTimer = setTimeout(() => {
+            if (session.state !== SessionState.CONNECTED && !session.bot?.authState.creds.me) {
+                session.log.info('Pairing code expired');
+                this.cleanup(sessionId);
+            }
+        }, PHONE_PAIRING_TIMEOUT_MS);
+
+        return code;
+    }
+
+    // Resolve once the session reaches one of `states`, reject on timeout or removal
+    waitForState(sessionId, states, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const session = this.get(sessionId);
+            if (!session) return reject(codedError('NOT_FOUND', 'Session not found or expired'));
+            if (states.includes(session.state)) return resolve(session);
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                this.off('state', onState);
+                this.off('removed', onRemoved);
+                error ? reject(error) : resolve(session);
+            };
+            const onState = (changed) => {
+                if (changed === session && states.includes(session.state)) finish();
+            };
+            const onRemoved = (removed) => {
+                if (removed === session) finish(codedError('CLOSED', 'Session closed'));
+            };
+            const timer = setTimeout(() => finish(codedError('TIMEOUT', 'Timed out waiting for session')), timeoutMs);
+
+            this.on('state', onState);
+            this.on('removed', onRemoved);
+        });
+    }
+
+    // Re-create the sockets of sessions that were paired before the last restart
+    async restore() {
+        const entries = await listRegisteredSessions();
+        if (entries.length === 0) return;
+
+        logger.info({ count: entries.length }, 'Restoring paired sessions');
+        for (const entry of entries) {
+            await this.restoreOne(entry);
+        }
+    }
+
+    async restoreOne(entry) {
+        const { method, number, owner = null, storage = 'multi-file' } = entry;
+        let { sessionId } = entry;
+
+        if (storage !== this.authStore.name) {
+            logger.warn({ sessionId, storage, authStore: this.authStore.name }, 'Skipping session stored in another auth store');
+            return;
+        }
+
+        try {
+            // Older phone entries were keyed by their directory path
+            if (sessionId.startsWith('./')) {
+                await unregisterSession(sessionId);
+                sessionId = sessionId.slice(2);
+            }
+
+            const { state } = await this.authStore.useAuthState(sessionId);
+
+            if (!state.creds.registered && !state.creds.me) {
+                logger.warn({ sessionId }, 'Skipping unpaired session');
+                await unregisterSession(sessionId);
+                return;
+            }
+
+            this.track({ sessionId, method, number, owner, justPaired: false });
+            this.get(sessionId).log.info('Restoring session');
+            await this.connect(sessionId);
+        } catch (error) {
+            logger.error({ sessionId, err: error }, 'Failed to restore session');
+        }
+    }
+
+    // Close sockets but keep paired credentials on disk
+    async shutdown() {
+        this.shuttingDown = true;
+
+        for (const session of this.sessions.values()) {
+            clearTimeout(session.reconnectTimer);
+            clearTimeout(session.pairingTimer);
+
+            try {
+                session.bot?.end(undefined);
+            } catch (error) {
+                session.log.warn({ err: error }, 'Socket close failed');
+            }
+
+            if (!await getRegisteredSession(session.sessionId)) {
+                await this.authStore.remove(session.sessionId).catch(() => {});
+            }
+        }
+    }
+
+    // Unlink the device from WhatsApp, then drop the session and its credentials.
+    // `unlinked` is false when WhatsApp could not be told (not connected, or the request failed)
+    async logout(sessionId) {
+        const session = this.get(sessionId);
+        if (!session) throw codedError('NOT_FOUND', 'Session not found or expired');
+
+        let unlinked = false;
+        if (session.state === SessionState.CONNECTED) {
+            try {
+                await session.bot.logout();
+                unlinked = true;
+            } catch (error) {
+                session.log.warn({ err: error }, 'Logout request failed');
+            }
+        }
+
+        await this.remove(sessionId);
+        session.log.info({ unlinked }, 'Session logged out');
+        return { session, unlinked };
+    }
+
+    // Close the socket and connect again from the saved credentials
+    async restart(sessionId) {
+        const session = this.get(sessionId);
+        if (!session) throw codedError('NOT_FOUND', 'Session not found or expired');
+
+        if (!session.bot?.authState.creds.me) {
+            throw codedError('NOT_PAIRED', 'Only paired sessions can be restarted');
+        }
+
+        clearTimeout(session.reconnectTimer);
+        const oldBot = session.bot;
+        // Detach first so the old socket's close event is ignored
+        session.bot = null;
+        session.reconnectAttempts = 0;
+
+        try {
+            oldBot.end(undefined);
+        } catch (error) {
+            // socket already closed
+        }
+
+        this.setState(session, SessionState.RECONNECTING);
+        session.log.info('Restarting session');
+
+        try {
+            await this.connect(sessionId);
+        } catch (error) {
+            this.setState(session, SessionState.CLOSED);
+            throw error;
+        }
+
+        return session;
+    }
+
+    // Forget a session locally: close it and delete its credentials without logging out
+    async remove(sessionId) {
+        await unregisterSession(sessionId);
+        await this.cleanup(sessionId);
+    }
+
+    // Remove a session and its credentials
+    async cleanup(sessionId) {
+        const session = this.get(sessionId);
+        if (!session) return;
+
+        clearTimeout(session.reconnectTimer);
+        clearTimeout(session.pairingTimer);
+        this.sessions.delete(sessionId);
+
+        try {
+            session.bot?.end(undefined);
+        } catch (error) {
+            // socket already closed
+        }
+
+        try {
+            await this.authStore.remove(sessionId);
+            session.log.info('Cleaned up session');
+        } catch (error) {
+            session.log.warn({ err: error }, 'Session cleanup failed');
+        }
+
+        this.setState(session, SessionState.CLOSED);
+        this.emit('removed', session);
+    }
+
+    track({ sessionId, method, number = null, owner = null, justPaired }) {
+        const { log, socketLog } = createSessionLoggers({ sessionId, number });
+        const session = {
+            sessionId,
+            storage: this.authStore.location(sessionId),
+            method,
+            number,
+            owner,
+            state: SessionState.PENDING,
+            stateSince: new Date().toISOString(),
+            bot: null,
+            qr: null,
+            qrExpiresAt: null,
+            qrCount: 0,
+            pairingCode: null,
+            reconnectAttempts: 0,
+            reconnectTimer: null,
+            pairingTimer: null,
+            lastDisconnect: null,
+            reconnectCount: 0,
+            messagesIn: 0,
+            messagesOut: 0,
+            justPaired,
+            createdAt: new Date().toISOString(),
+            connectedAt: null,
+            lastSeenAt: null,
+            log,
+            socketLog
+        };
+
+        this.sessions.set(sessionId, session);
+        return session;
+    }
+
+    setState(session, state) {
+        if (session.state === state) return;
+
+        const previousState = session.state;
+        session.state = state;
+        session.stateSince = new Date().toISOString();
+        this.emit('state', session, previousState);
+    }
+
+    // (Re)create the socket for a known session from its saved credentials
+    async connect(sessionId) {
+        const session = this.get(sessionId);
+        if (!session || this.shuttingDown) return;
+
+        const { state, saveCreds } = await this.authStore.useAuthState(sessionId);
+
+        const bot = makeWASocket({
+            auth: {
+                creds: state.creds,
+                keys: makeCacheableSignalKeyStore(state.keys, session.socketLog),
+            },
+            printQRInTerminal: session.method === 'qr' && !state.creds.me,
+            logger: session.socketLog,
+            browser: [...config.branding.browser],
+            markOnlineOnConnect: false,
+            generateHighQualityLinkPreview: false,
+            connectTimeoutMs: 30000,
+        });
+
+        session.bot = bot;
+
+        bot.ev.on('creds.update', saveCreds);
+
+        for (const event of FORWARDED_EVENTS) {
+            bot.ev.on(event, (data) => this.emit(event, session, data));
+        }
+
+        bot.ev.on('messages.upsert', ({ messages }) => {
+            for (const message of messages) {
+                if (message.key?.fromMe) session.messagesOut++;
+                else session.messagesIn++;
+            }
+            session.lastSeenAt = new Date().toISOString();
+        });
+
+        bot.ev.on("connection.update", async (update) => {
+            // Ignore late events from a socket that has been replaced
+            if (session.bot !== bot) return;
+
+            const { connection, lastDisconnect, qr } = update;
+            this.emit('connection.update', session, update);
+
+            // Baileys keeps refreshing the QR after a pairing code was requested; phone sessions never show it
+            if (qr && session.method !== 'phone') {
+                session.log.debug('QR code received');
+                session.qr = qr;
+                session.qrExpiresAt = new Date(Date.now() + (session.qrCount === 0 ? QR_FIRST_TTL_MS : QR_REFRESH_TTL_MS)).toISOString();
+                session.qrCount++;
+                this.setState(session, SessionState.QR_READY);
+                this.emit('qr', session, qr);
+            }
+
+            if (connection === "open") {
+                session.log.info({ jid: bot.user?.id }, 'Session connected');
+                await this.handleOpen(session);
+            }
+
+            if (connection === "close") {
+                session.log.info('Session closed');
+                await this.handleClose(session, lastDisconnect);
+            }
+        });
+    }
+
+    async handleOpen(session) {
+        clearTimeout(session.pairingTimer);
+        session.reconnectAttempts = 0;
+        session.qr = null;
+        session.qrExpiresAt = null;
+        session.pairingCode = null;
+        // QR sessions learn their number once the account is linked
+        const linkedNumber = session.bot.user?.id?.split(/[:@]/)[0];
+        if (!session.number && linkedNumber) {
+            session.number = linkedNumber;
+            session.log = session.log.child({ number: linkedNumber });
+        }
+
+        session.connectedAt = new Date().toISOString();
+        session.lastSeenAt = session.connectedAt;
+        this.setState(session, SessionState.CONNECTED);
+
+        await registerSession({
+            sessionId: session.sessionId,
+            storage: this.authStore.name,
+            number: session.number,
+            method: session.method,
+            owner: session.owner
+        });
+
+        if (session.justPaired) {
+            session.justPaired = false;
+            this.emit('paired', session);
+        }
+    }
+
+    // Reconnect supervisor: decides from the DisconnectReason whether to reconnect, give up or log out
+    async handleClose(session, lastDisconnect) {
+        const { sessionId } = session;
+        if (this.shuttingDown || this.get(sessionId) !== session) return;
+
+        const plan = planReconnect(lastDisconnect, session.reconnectAttempts);
+        session.lastDisconnect = { code: plan.code, reason: plan.reason, at: new Date().toISOString() };
+        this.emit('disconnect', session, session.lastDisconnect);
+
+        if (plan.action === 'logout') {
+            session.log.info('Session logged out from the phone');
+            await unregisterSession(sessionId);
+            await this.cleanup(sessionId);
+            return;
+        }
+
+        // Sessions that never finished pairing have nothing worth reconnecting
+        const paired = session.bot.authState.creds.me || await getRegisteredSession(sessionId);
+        if (!paired) {
+            await this.cleanup(sessionId);
+            return;
+        }
+
+        if (plan.action === 'give_up') {
+            session.log.warn({ reason: plan.reason, code: plan.code }, 'Not reconnecting');
+            this.setState(session, SessionState.CLOSED);
+            return;
+        }
+
+        session.reconnectAttempts = plan.attempt;
+        session.reconnectCount++;
+        this.setState(session, SessionState.RECONNECTING);
+        session.log.info({ delay: plan.delay, reason: plan.reason, attempt: plan.attempt }, 'Reconnecting');
+        this.emit('reconnect', session, { reason: plan.reason, attempt: plan.attempt, delay: plan.delay });
+
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = setTimeout(() => {
+            this.connect(sessionId).catch((error) => {
+                session.log.error({ err: error }, 'Reconnect failed');
+                this.handleClose(session, { error });
+            });
+        }, plan.delay);
+    }
+}
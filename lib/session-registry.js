@@ -0,0 +1,54 @@
+import { readJsonFile, createJsonWriter } from './files.js';
+import { config } from './config.js';
+
+// On-disk registry of paired sessions, used to restore sockets after a restart
+const REGISTRY_FILE = config.sessions.registryFile;
+
+let entries = null;
+const writeRegistry = createJsonWriter(REGISTRY_FILE, 'Session registry');
+
+async function load() {
+    if (entries) return entries;
+
+    const parsed = await readJsonFile(REGISTRY_FILE, 'Session registry');
+    entries = new Map((parsed?.sessions || []).map((entry) => [entry.sessionId, entry]));
+
+    return entries;
+}
+
+function persist() {
+    return writeRegistry({ sessions: Array.from(entries.values()) });
+}
+
+export async function listRegisteredSessions() {
+    const registry = await load();
+    return Array.from(registry.values());
+}
+
+export async function getRegisteredSession(sessionId) {
+    const registry = await load();
+    return registry.get(sessionId) || null;
+}
+
+export async function registerSession({ sessionId, storage, number = null, method, owner = null }) {
+    const registry = await load();
+    const existing = registry.get(sessionId);
+
+    registry.set(sessionId, {
+        sessionId,
+        storage,
+        number,
+        method,
+        owner,
+        registeredAt: existing?.registeredAt || new Date().toISOString()
+    });
+
+    await persist();
+}
+
+export async function unregisterSession(sessionId) {
+    const registry = await load();
+    if (registry.delete(sessionId)) {
+        await persist();
+    }
+}
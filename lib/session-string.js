@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { BufferJSON } from '@whiskeysockets/baileys';
+import { deriveKeyFromPassphrase, encrypt, decrypt } from './crypto.js';
+import { codedError } from './errors.js';
+
+// Portable "session ID": PREFIX + base64url(salt | AES-GCM(gzip(creds JSON)))
+const PREFIX = 'DTZNOVA~';
+const SALT_LENGTH = 16;
+export const MIN_PASSPHRASE_LENGTH = 8;
+// Paired creds are a few KB. The passphrase is the uploader's own, so the GCM tag proves nothing
+// about the contents: cap the inflated size and check everything that ends up in a path.
+const MAX_CREDS_BYTES = 64 * 1024;
+const ME_JID_PATTERN = /^\d+(:\d+)?@s\.whatsapp\.net$/;
+
+function checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw codedError('WEAK_PASSPHRASE', `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+export function encodeSessionString(creds, passphrase) {
+    checkPassphrase(passphrase);
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const compressed = zlib.gzipSync(JSON.stringify(creds, BufferJSON.replacer));
+    const sealed = encrypt(compressed, deriveKeyFromPassphrase(passphrase, salt));
+
+    return PREFIX + Buffer.concat([salt, sealed]).toString('base64url');
+}
+
+export function decodeSessionString(sessionString, passphrase) {
+    checkPassphrase(passphrase);
+
+    if (typeof sessionString !== 'string' || !sessionString.startsWith(PREFIX)) {
+        throw codedError('INVALID_SESSION_STRING', `Session strings start with ${PREFIX}`);
+    }
+
+    const raw = Buffer.from(sessionString.slice(PREFIX.length).trim(), 'base64url');
+    let compressed;
+    try {
+        compressed = decrypt(raw.subarray(SALT_LENGTH), deriveKeyFromPassphrase(passphrase, raw.subarray(0, SALT_LENGTH)));
+    } catch (error) {
+        throw codedError('BAD_PASSPHRASE', 'Wrong passphrase or corrupted session string');
+    }
+
+    let json;
+    try {
+        json = zlib.gunzipSync(compressed, { maxOutputLength: MAX_CREDS_BYTES }).toString('utf8');
+    } catch (error) {
+        throw error.code === 'ERR_BUFFER_TOO_LARGE'
+            ? codedError('SESSION_STRING_TOO_LARGE', `Session string expands to more than ${MAX_CREDS_BYTES} bytes`)
+            : codedError('INVALID_SESSION_STRING', 'Session string is not valid compressed data');
+    }
+
+    let creds;
+    try {
+        creds = JSON.parse(json, BufferJSON.reviver);
+    } catch (error) {
+        throw codedError('INVALID_SESSION_STRING', 'Session string does not contain valid JSON');
+    }
+
+    if (!creds?.me?.id || !creds.noiseKey) {
+        throw codedError('INVALID_SESSION_STRING', 'Session string does not contain paired credentials');
+    }
+    if (typeof creds.me.id !== 'string' || !ME_JID_PATTERN.test(creds.me.id)) {
+        throw codedError('INVALID_SESSION_STRING', 'Session string has an invalid account id');
+    }
+
+    return creds;
+}
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import { statusName } from './outbound.js';
+import { codedError } from './errors.js';
+import { readJsonFile, createJsonWriter } from './files.js';
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+// Per-session outgoing webhooks with HMAC signatures, retries and a delivery log
+export const WEBHOOK_EVENTS = ['message', 'receipt', 'presence', 'group.participants', 'connection'];
+
+const WEBHOOKS_FILE = config.webhooks.file;
+const MAX_ATTEMPTS = config.webhooks.maxAttempts;
+const RETRY_BASE_MS = config.webhooks.retryBaseMs;
+const USER_AGENT = `${config.branding.browser[0]}-Webhook/${config.branding.version}`;
+const REQUEST_TIMEOUT_MS = 10000;
+const DELIVERY_LOG_SIZE = 100;
+const MIN_SECRET_LENGTH = 16;
+
+const webhookError = (message) => codedError('INVALID_WEBHOOK', message);
+
+export function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export class WebhookDispatcher {
+    constructor({ file = WEBHOOKS_FILE } = {}) {
+        this.file = file;
+        this.webhooks = new Map();   // sessionId -> [webhook]
+        this.deliveries = new Map(); // sessionId -> [delivery], newest first
+        this.writeStore = createJsonWriter(file, 'Webhook store');
+    }
+
+    async load() {
+        const parsed = await readJsonFile(this.file, 'Webhook store');
+        for (const [sessionId, hooks] of Object.entries(parsed?.webhooks || {})) {
+            this.webhooks.set(sessionId, hooks);
+        }
+    }
+
+    persist() {
+        return this.writeStore({ webhooks: Object.fromEntries(this.webhooks) });
+    }
+
+    async add(sessionId, { url, secret, events = WEBHOOK_EVENTS }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw webhookError('"url" must be a valid URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw webhookError('"url" must use http or https');
+        }
+
+        // A bad secret would only surface later, as every delivery failing to sign
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+            throw webhookError(`"secret" must be a string of at least ${MIN_SECRET_LENGTH} characters, or left out to generate one`);
+        }
+
+        const eventList = [].concat(events);
+        if (eventList.length === 0) {
+            throw webhookError(`"events" must list at least one of: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+        const unknown = eventList.filter((event) => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw webhookError(`Unknown events: ${unknown.join(', ')}. Use: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+
+        const webhook = {
+            id: crypto.randomUUID(),
+            url: parsed.href,
+            events: [...new Set(eventList)],
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            createdAt: new Date().toISOString()
+        };
+
+        this.webhooks.set(sessionId, [...this.list(sessionId), webhook]);
+        await this.persist();
+        return webhook;
+    }
+
+    async remove(sessionId, webhookId) {
+        const hooks = this.list(sessionId);
+        const remaining = hooks.filter((hook) => hook.id !== webhookId);
+        if (remaining.length === hooks.length) return false;
+
+        this.webhooks.set(sessionId, remaining);
+        await this.persist();
+        return true;
+    }
+
+    async removeSession(sessionId) {
+        this.deliveries.delete(sessionId);
+        if (this.webhooks.delete(sessionId)) {
+            await this.persist();
+        }
+    }
+
+    list(sessionId) {
+        return this.webhooks.get(sessionId) || [];
+    }
+
+    listDeliveries(sessionId, limit = 50) {
+        return (this.deliveries.get(sessionId) || []).slice(0, limit);
+    }
+
+    // Queue `event` for every webhook of the session subscribed to it
+    dispatch(sessionId, event, data) {
+        for (const webhook of this.list(sessionId)) {
+            if (!webhook.events.includes(event)) continue;
+
+            const delivery = {
+                id: crypto.randomUUID(),
+                webhookId: webhook.id,
+                event,
+                status: 'pending',
+                attempts: 0,
+                responseStatus: null,
+                error: null,
+                createdAt: new Date().toISOString(),
+                deliveredAt: null
+            };
+            const body = JSON.stringify({ id: delivery.id, event, sessionId, timestamp: delivery.createdAt, data });
+
+            this.log(sessionId, delivery);
+            this.attempt(webhook, delivery, body);
+        }
+    }
+
+    log(sessionId, delivery) {
+        const log = this.deliveries.get(sessionId) || [];
+        log.unshift(delivery);
+        log.length = Math.min(log.length, DELIVERY_LOG_SIZE);
+        this.deliveries.set(sessionId, log);
+    }
+
+    async attempt(webhook, delivery, body) {
+        delivery.attempts++;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+
+            delivery.responseStatus = response.status;
+            if (!response.ok) throw new Error(`Receiver responded ${response.status}`);
+
+            delivery.status = 'delivered';
+            delivery.error = null;
+            delivery.deliveredAt = new Date().toISOString();
+        } catch (error) {
+            delivery.error = error.message;
+
+            if (delivery.attempts >= MAX_ATTEMPTS) {
+                delivery.status = 'failed';
+                logger.warn({ webhookId: webhook.id, url: webhook.url, attempts: delivery.attempts, err: error }, 'Webhook delivery failed');
+                return;
+            }
+
+            delivery.status = 'retrying';
+            setTimeout(() => this.attempt(webhook, delivery, body), RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+        }
+    }
+}
+
+// Webhook-facing shape of receipt events; messages use normalizeMessage from ./message.js
+
+export function normalizeReceipt({ key, update, receipt }) {
+    return {
+        id: key.id,
+        chat: key.remoteJid,
+        participant: key.participant || receipt?.userJid || null,
+        fromMe: Boolean(key.fromMe),
+        status: update?.status != null
+            ? statusName(update.status)
+            : receipt?.readTimestamp ? 'READ' : 'DELIVERY_ACK',
+        receiptTimestamp: Number(receipt?.receiptTimestamp || receipt?.readTimestamp) || null
+    };
+}
@@ -0,0 +1,29 @@
+// Re-encrypt every stored session with a new key. Stop the server first.
+//
+//   SESSION_ENCRYPTION_KEY=<current> NEW_SESSION_ENCRYPTION_KEY=<new> npm run rotate-key
+//
+// Without a current key, plain sessions are encrypted for the first time.
+import dotenv from 'dotenv';
+import { createAuthStore } from '../lib/auth-store/index.js';
+import { deriveKey } from '../lib/crypto.js';
+
+dotenv.config();
+
+const newSecret = process.env.NEW_SESSION_ENCRYPTION_KEY || process.argv[2];
+
+if (!newSecret) {
+    console.error('❌ Set NEW_SESSION_ENCRYPTION_KEY (or pass the new key as an argument)');
+    process.exit(1);
+}
+
+try {
+    const store = await createAuthStore();
+    const count = await store.rotateKey(deriveKey(newSecret));
+    const keyVar = store.name === 'encrypted-json' && process.env.AUTH_STORE_KEY ? 'AUTH_STORE_KEY' : 'SESSION_ENCRYPTION_KEY';
+
+    console.log(`🔑 Re-encrypted ${count} item(s) in the ${store.name} store`);
+    console.log(`👉 Set ${keyVar} to the new key before starting the server`);
+} catch (error) {
+    console.error('💥 Key rotation failed:', error.message);
+    process.exit(1);
+}
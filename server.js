@@ -1,403 +1,1203 @@
+import 'dotenv/config';
 import express from 'express';
 import bodyParser from 'body-parser';
+import multer from 'multer';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import dotenv from 'dotenv';
-import fs from 'fs/promises';
-import pino from 'pino';
 import qrcode from 'qrcode';
-import { 
-    makeWASocket, 
-    useMultiFileAuthState, 
-    delay,
-    makeCacheableSignalKeyStore,
-    DisconnectReason
-} from '@whiskeysockets/baileys';
-
-dotenv.config();
+import { SessionManager, SessionState } from './lib/session-manager.js';
+import { toJid, buildMessageContent, buildQuoted, statusName } from './lib/outbound.js';
+import { CommandRouter } from './lib/commands.js';
+import { WebhookDispatcher, normalizeReceipt } from './lib/webhooks.js';
+import { normalizeMessage } from './lib/message.js';
+import { MessageStore } from './lib/message-store.js';
+import { MediaStore, sniffMime } from './lib/media.js';
+import { ChatRules } from './lib/chat-rules.js';
+import {
+    PARTICIPANT_ACTIONS,
+    toGroupJid,
+    toParticipantJids,
+    participantJid,
+    describeGroup,
+    renderGreeting,
+    groupFailureStatus
+} from './lib/groups.js';
+import { loadApiKeys, createAuthMiddleware, canAccessSession } from './lib/auth.js';
+import { createPairingLimiter } from './lib/rate-limit.js';
+import { COUNTRIES, normalizePhoneNumber } from './lib/phone.js';
+import { createAuthStore } from './lib/auth-store/index.js';
+import { encodeSessionString, decodeSessionString } from './lib/session-string.js';
+import { logger, requestLogger } from './lib/logger.js';
+import { config } from './lib/config.js';
+import { registry, instrumentSessions, httpMetrics, sendDuration } from './lib/metrics.js';
+import { createHealthChecks } from './lib/health.js';
 
 const app = express();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const PORT = process.env.PORT || 10000;
+const PORT = config.server.port;
+const QR_TIMEOUT_MS = config.pairing.qrTimeoutMs;
+const { branding } = config;
+const apiKeys = await loadApiKeys();
+
+if (apiKeys.length === 0 && !config.server.authDisabled) {
+    logger.fatal('No API keys configured. Set API_KEYS, API_KEYS_FILE or ADMIN_API_KEY, or AUTH_DISABLED=true to run without authentication.');
+    process.exit(1);
+}
+
+// Owns every active WhatsApp session; credentials live in the AUTH_STORE backend
+let authStore;
+try {
+    authStore = await createAuthStore();
+} catch (error) {
+    logger.fatal({ err: error }, 'Session storage error');
+    process.exit(1);
+}
+const sessionManager = new SessionManager({ authStore });
+instrumentSessions(sessionManager);
+const health = createHealthChecks({ sessionManager, authStore });
+const pairingLimiter = createPairingLimiter({ countPending: () => sessionManager.countPending() });
+
+// Needed behind a reverse proxy so rate limits see the client IP (e.g. TRUST_PROXY=1)
+app.set('trust proxy', config.server.trustProxy);
+
+// Middleware
+app.use(requestLogger(logger));
+app.use(httpMetrics());
+
+app.use((req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-XSS-Protection', '1; mode=block');
+    next();
+});
+
+app.use(bodyParser.json({ limit: '1mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
+
+// API key authentication for everything under /api except health checks
+app.use('/api', createAuthMiddleware(apiKeys, {
+    publicPaths: ['/health', '/test'],
+    queryKeyPaths: [/^\/code\/events\/[^/]+$/]
+}));
+
+// Sessions are only visible to the API key that created them, or to an admin key
+function getOwnedSession(req, sessionId) {
+    const session = sessionManager.get(sessionId);
+    return session && canAccessSession(req.apiKey, session) ? session : null;
+}
+
+app.param('id', (req, res, next, id) => {
+    const session = getOwnedSession(req, id);
+
+    if (!session) {
+        return res.status(404).json({ 
+            success: false,
+            error: 'Session not found or expired' 
+        });
+    }
+
+    req.waSession = session;
+    next();
+});
+
+// Commands: built-ins and custom handlers from ./commands
+const commandRouter = new CommandRouter({
+    prefix: config.commands.prefix,
+    unknownCommand: config.commands.unknownCommand
+});
+
+// The old canned auto-reply, now opt-in for messages that are not commands
+if (config.commands.autoReply) {
+    commandRouter.setFallback(async ({ session, normalized, text, reply }) => {
+        // Groups only get answers to commands
+        if (normalized.isGroup) return;
+
+        const messageText = text || 'Message received';
+        
+        const replyText = session.method === 'phone'
+            ? `🤖 *${branding.name} - Phone Pairing*\n\nThank you for your message: "${messageText}"\n\nYour phone pairing was successful!\n\n📢 Channel: ${branding.channelUrl}\n👤 Owner: wa.me/${branding.ownerNumber}`
+            : `🤖 *${branding.name}*\n\nThank you for your message: "${messageText}"\n\nI am an automated WhatsApp bot.\n\n📢 Channel: ${branding.channelUrl}\n👤 Owner: wa.me/${branding.ownerNumber}`;
+        
+        try {
+            await reply(replyText);
+            session.log.debug('Auto-reply sent');
+        } catch (error) {
+            session.log.warn({ err: error }, 'Failed to send auto-reply');
+        }
+    });
+}
+
+// Per-session rules for which chats get answers (commands and auto-reply alike)
+const chatRules = new ChatRules();
+
+sessionManager.on('messages.upsert', async (session, m) => {
+    for (const message of m.messages) {
+        if (!message.message || message.key?.fromMe) continue;
+
+        // A rejection here would escape the EventEmitter and end the process
+        try {
+            const normalized = normalizeMessage(message);
+            const { chat, id, type } = normalized;
+            session.log.debug({ chat, id, type }, 'Received message');
+
+            const { allowed, reason } = chatRules.check(session.sessionId, normalized, m.type);
+            if (!allowed) {
+                session.log.debug({ chat, id, reason }, 'Not responding');
+                continue;
+            }
+
+            if (await commandRouter.handle(session, message)) {
+                chatRules.markReplied(session.sessionId, chat);
+            }
+        } catch (error) {
+            session.log.error({ err: error, id: message.key?.id }, 'Message handling failed');
+        }
+    }
+});
+
+// Forward session events to registered webhooks
+const webhooks = new WebhookDispatcher();
+
+sessionManager.on('messages.upsert', (session, { messages, type }) => {
+    for (const message of messages) {
+        if (message.message) {
+            webhooks.dispatch(session.sessionId, 'message', { ...normalizeMessage(message), upsertType: type });
+        }
+    }
+});
+
+sessionManager.on('messages.update', (session, updates) => {
+    for (const update of updates) {
+        if (update.update?.status != null) {
+            webhooks.dispatch(session.sessionId, 'receipt', normalizeReceipt(update));
+        }
+    }
+});
+
+sessionManager.on('message-receipt.update', (session, receipts) => {
+    for (const receipt of receipts) {
+        webhooks.dispatch(session.sessionId, 'receipt', normalizeReceipt(receipt));
+    }
+});
+
+sessionManager.on('presence.update', (session, { id, presences }) => {
+    webhooks.dispatch(session.sessionId, 'presence', { chat: id, presences });
+});
+
+sessionManager.on('group-participants.update', (session, { id, author, participants, action }) => {
+    webhooks.dispatch(session.sessionId, 'group.participants', { group: id, author: author || null, participants, action });
+});
+
+// Welcome and goodbye messages, when configured
+sessionManager.on('group-participants.update', async (session, { id, participants, action }) => {
+    const template = action === 'add' ? config.groups.welcomeMessage
+        : action === 'remove' ? config.groups.goodbyeMessage
+        : null;
+    if (!template || session.state !== SessionState.CONNECTED) return;
+
+    const { bot } = session;
+    const ownNumber = bot.user?.id?.split(/[:@]/)[0];
+    const jids = participants.map(participantJid).filter((jid) => jid && jid.split('@')[0] !== ownNumber);
+    if (jids.length === 0) return;
+
+    try {
+        const metadata = await bot.groupMetadata(id);
+        for (const participant of jids) {
+            await bot.sendMessage(id, {
+                text: renderGreeting(template, { participant, metadata }),
+                mentions: [participant]
+            });
+        }
+    } catch (error) {
+        session.log.warn({ err: error, group: id, action }, 'Failed to send group greeting');
+    }
+});
+
+sessionManager.on('state', (session, previousState) => {
+    webhooks.dispatch(session.sessionId, 'connection', {
+        state: session.state,
+        previousState,
+        lastDisconnect: session.lastDisconnect
+    });
+});
+
+// Message history for the chats endpoints
+const messageStore = new MessageStore();
+
+sessionManager.on('messages.upsert', (session, { messages, type }) => {
+    messageStore.save(session.sessionId, messages, type)
+        .catch((error) => session.log.warn({ err: error }, 'Failed to store messages'));
+});
+
+// Incoming media is downloaded as it arrives; anything else on first request
+const mediaStore = new MediaStore();
+
+if (config.media.autoDownload) {
+    sessionManager.on('messages.upsert', async (session, { messages, type }) => {
+        if (type !== 'notify') return;
+
+        for (const message of messages) {
+            if (!message.message || message.key?.fromMe || !normalizeMessage(message).media) continue;
+
+            await mediaStore.download(session, message)
+                .catch((error) => session.log.warn({ err: error, id: message.key.id }, 'Media download failed'));
+        }
+    });
+}
+
+sessionManager.on('removed', (session) => {
+    webhooks.removeSession(session.sessionId);
+    messageStore.removeSession(session.sessionId);
+    chatRules.removeSession(session.sessionId);
+    mediaStore.removeSession(session.sessionId)
+        .catch((error) => session.log.warn({ err: error }, 'Failed to remove media'));
+});
+
+// Welcome message sent once, on the first connection after pairing
+sessionManager.on('paired', async (session) => {
+    const { bot, method, number } = session;
+
+    try {
+        if (method === 'phone') {
+            await bot.sendMessage(number + '@s.whatsapp.net', { 
+                text: `✅ *${branding.name.toUpperCase()} - PHONE PAIRING SUCCESSFUL!*\n\n🤖 Your WhatsApp is now connected via phone pairing\n\n📢 Join our channel: ${branding.channelUrl}\n\n👤 Contact owner: wa.me/${branding.ownerNumber}\n\n💬 You can now send and receive messages!\n\n⚠️ *DO NOT SHARE YOUR SESSION DATA*` 
+            });
+            session.log.info('Welcome message sent');
+        } else if (bot.user && bot.user.id) {
+            await bot.sendMessage(bot.user.id, { 
+                text: `✅ *${branding.name.toUpperCase()} CONNECTED SUCCESSFULLY!*\n\n🤖 Your WhatsApp is now connected to ${branding.name}\n\n📢 Join our channel: ${branding.channelUrl}\n\n👤 Contact owner: wa.me/${branding.ownerNumber}\n\n💬 You can now send and receive messages!\n\n⚠️ *DO NOT SHARE YOUR SESSION DATA*` 
+            });
+            session.log.info('Welcome message sent');
+        }
+
+        // Optional: hand the user a session string for moving to another deployment
+        if (config.welcome.sessionString && process.env.SESSION_STRING_PASSPHRASE && bot.user?.id) {
+            const sessionString = encodeSessionString(bot.authState.creds, process.env.SESSION_STRING_PASSPHRASE);
+            await bot.sendMessage(bot.user.id, { 
+                text: `🔐 *YOUR SESSION ID*\n\n${sessionString}\n\nImport it on another ${branding.name} deployment with the passphrase set by the bot owner.\n\n⚠️ *DO NOT SHARE YOUR SESSION DATA*` 
+            });
+            session.log.info('Session string sent');
+        }
+    } catch (msgError) {
+        session.log.warn({ err: msgError }, 'Failed to send welcome message');
+    }
+});
+
+// QR Code pairing endpoint
+app.get('/api/code/qr', pairingLimiter, async (req, res) => {
+
+    let session;
+    try {
+        session = await sessionManager.create({ method: 'qr', owner: req.apiKey.name });
+        await sessionManager.waitForState(session.sessionId, [SessionState.QR_READY], QR_TIMEOUT_MS);
+    } catch (error) {
+        if (session) await sessionManager.cleanup(session.sessionId);
+
+        if (error.code === 'TIMEOUT') {
+            req.log.warn('QR generation timeout');
+            return res.status(408).json({ 
+                success: false,
+                error: 'QR code timeout',
+                message: 'Please try generating a new QR code'
+            });
+        }
+
+        req.log.error({ err: error }, 'QR session failed');
+        return res.status(500).json({ 
+            success: false,
+            error: 'Session failed',
+            message: 'Please try again'
+        });
+    }
+
+    try {
+        // Generate QR code as data URL
+        const qrImage = await qrcode.toDataURL(session.qr);
+
+        session.log.info({ reqId: req.id }, 'QR pairing started');
+        res.json({
+            success: true,
+            qrCode: qrImage,
+            sessionId: session.sessionId,
+            expiresAt: session.qrExpiresAt,
+            message: 'Scan this QR code with WhatsApp'
+        });
+    } catch (qrError) {
+        req.log.error({ err: qrError }, 'QR generation failed');
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to generate QR code',
+            message: 'Please try again'
+        });
+    }
+});
+
+// Latest QR code of a pending session: ?format=dataurl (default), png or text
+app.get('/api/code/qr/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+    const format = req.query.format || 'dataurl';
+    const session = getOwnedSession(req, sessionId);
+
+    if (!session) {
+        return res.status(404).json({ 
+            success: false,
+            error: 'Session not found or expired' 
+        });
+    }
+
+    if (!session.qr) {
+        return res.status(409).json({ 
+            success: false,
+            state: session.state,
+            error: 'No QR code available',
+            message: session.state === SessionState.CONNECTED
+                ? 'This session is already connected'
+                : session.method === 'phone'
+                    ? 'Phone sessions pair with a pairing code, not a QR code'
+                    : 'Waiting for WhatsApp to issue a QR code'
+        });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-QR-Expires-At', session.qrExpiresAt);
+
+    try {
+        if (format === 'png') {
+            res.type('png').send(await qrcode.toBuffer(session.qr, { type: 'png' }));
+        } else if (format === 'text') {
+            res.type('text/plain').send(await qrcode.toString(session.qr, { type: 'utf8' }));
+        } else if (format === 'dataurl') {
+            res.json({
+                success: true,
+                qrCode: await qrcode.toDataURL(session.qr),
+                sessionId,
+                expiresAt: session.qrExpiresAt
+            });
+        } else {
+            res.status(400).json({ 
+                success: false,
+                error: 'Invalid format',
+                message: 'Use format=dataurl, png or text'
+            });
+        }
+    } catch (qrError) {
+        req.log.error({ err: qrError }, 'QR generation failed');
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to generate QR code',
+            message: 'Please try again'
+        });
+    }
+});
+
+// Phone number pairing endpoint
+app.get('/api/code/phone', pairingLimiter, async (req, res) => {
+    const { number, country } = req.query;
+    
+    if (!number) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Phone number required',
+            message: 'Please provide a phone number parameter'
+        });
+    }
+
+    let cleanNumber;
+    try {
+        cleanNumber = normalizePhoneNumber(number, country).digits;
+    } catch (error) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Invalid phone number',
+            code: error.code,
+            message: error.message
+        });
+    }
+
+    const existing = sessionManager.findByNumber(cleanNumber);
+    if (existing) {
+        const paired = [SessionState.CONNECTED, SessionState.RECONNECTING].includes(existing.state);
+        return res.status(409).json({ 
+            success: false,
+            error: paired ? 'Already paired' : 'Pairing in progress',
+            message: paired
+                ? 'This number is already linked to an active session'
+                : 'A pairing for this number is already in progress',
+            sessionId: canAccessSession(req.apiKey, existing) ? existing.sessionId : undefined
+        });
+    }
+
+
+    let session;
+    try {
+        session = await sessionManager.create({ method: 'phone', number: cleanNumber, owner: req.apiKey.name });
+    } catch (error) {
+        req.log.error({ err: error, number: cleanNumber }, 'Phone pairing failed');
+        return res.json({
+            success: false,
+            error: 'Phone pairing not available',
+            message: 'Please use QR code method',
+            qrEndpoint: '/api/code/qr'
+        });
+    }
+
+    try {
+        const pairingCode = await sessionManager.requestPairingCode(session.sessionId);
+        session.log.info({ reqId: req.id }, 'Pairing code issued');
+        
+        res.json({
+            success: true,
+            code: pairingCode,
+            sessionId: session.sessionId,
+            message: 'Use this code in WhatsApp: Linked Devices → Link a Device',
+            number: cleanNumber
+        });
+    } catch (pairError) {
+        await sessionManager.cleanup(session.sessionId);
+
+        if (pairError.code === 'ALREADY_REGISTERED') {
+            return res.json({
+                success: false,
+                error: 'Already registered',
+                message: pairError.message
+            });
+        }
+
+        session.log.warn({ err: pairError }, 'Pairing code request failed');
+        res.json({
+            success: false,
+            error: 'Phone pairing failed',
+            message: 'Please use QR code method instead',
+            alternative: '/api/code/qr'
+        });
+    }
+});
+
+// Check connection status endpoint
+app.get('/api/code/status/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+    const session = getOwnedSession(req, sessionId);
+    
+    if (!session) {
+        return res.json({ 
+            success: false,
+            connected: false, 
+            error: 'Session not found or expired' 
+        });
+    }
+    
+    const connected = session.state === SessionState.CONNECTED;
+    const reconnecting = session.state === SessionState.RECONNECTING;
+
+    res.json({ 
+        success: true,
+        ...sessionManager.describe(session),
+        connected,
+        reconnecting,
+        message: connected
+            ? 'WhatsApp connected successfully!'
+            : reconnecting ? 'Reconnecting to WhatsApp...' : 'Waiting for QR scan...'
+    });
+});
+
+// Live pairing and connection events (Server-Sent Events)
+app.get('/api/code/events/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    const session = getOwnedSession(req, sessionId);
+
+    if (!session) {
+        return res.status(404).json({ 
+            success: false,
+            error: 'Session not found or expired' 
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const sendQr = async (qr) => {
+        try {
+            send('qr', { qrCode: await qrcode.toDataURL(qr), expiresAt: session.qrExpiresAt });
+        } catch (error) {
+            session.log.warn({ err: error }, 'Failed to render QR for event stream');
+        }
+    };
+
+    const listeners = {
+        state: (changed, previousState) => {
+            if (changed !== session) return;
+            send('state', { state: session.state, previousState, reconnectAttempts: session.reconnectAttempts });
+        },
+        qr: (changed, qr) => {
+            if (changed === session) sendQr(qr);
+        },
+        code: (changed, code) => {
+            if (changed === session) send('code', { code });
+        },
+        'connection.update': (changed, update) => {
+            if (changed !== session || !update.connection) return;
+            send('connection', { connection: update.connection, isNewLogin: update.isNewLogin || false });
+        },
+        disconnect: (changed, lastDisconnect) => {
+            if (changed === session) send('disconnect', lastDisconnect);
+        },
+        removed: (changed) => {
+            if (changed !== session) return;
+            send('closed', { state: session.state, lastDisconnect: session.lastDisconnect });
+            res.end();
+        }
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) {
+        sessionManager.on(event, listener);
+    }
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        for (const [event, listener] of Object.entries(listeners)) {
+            sessionManager.off(event, listener);
+        }
+    });
+
+    // Current snapshot, so late subscribers don't miss what already happened
+    send('state', { state: session.state, previousState: null, reconnectAttempts: session.reconnectAttempts });
+    if (session.qr) sendQr(session.qr);
+    if (session.pairingCode) send('code', { code: session.pairingCode });
+});
+
+// Get all active sessions
+// Filters: ?state=connected,reconnecting&method=qr  Paging: ?limit=50&offset=0
+app.get('/api/sessions', (req, res) => {
+    const states = req.query.state ? String(req.query.state).split(',') : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const matching = sessionManager.list().filter((session) =>
+        canAccessSession(req.apiKey, session) &&
+        (!states || states.includes(session.state)) &&
+        (!req.query.method || session.method === req.query.method)
+    );
+
+    const sessions = matching.slice(offset, offset + limit).map((session) => ({
+        ...sessionManager.describe(session),
+        connected: session.state === SessionState.CONNECTED
+    }));
+    
+    res.json({
+        success: true,
+        activeSessions: matching.length,
+        total: matching.length,
+        limit,
+        offset,
+        sessions: sessions
+    });
+});
+
+// Multipart uploads for media messages: one "file" field plus the usual fields as form fields
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.media.maxBytes, files: 1 }
+});
+
+function receiveUpload(req, res, next) {
+    upload.single('file')(req, res, (error) => {
+        if (!error) return next();
+
+        res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+            success: false,
+            error: 'Invalid upload',
+            message: error.message
+        });
+    });
+}
+
+// Form fields are strings, so JSON-valued ones arrive encoded
+function uploadPayload(body, file) {
+    const payload = { ...body, buffer: file.buffer };
+
+    for (const field of ['quoted', 'contact', 'contacts']) {
+        if (typeof payload[field] === 'string') {
+            try {
+                payload[field] = JSON.parse(payload[field]);
+            } catch (error) {
+                // left as is; the builders report it
+            }
+        }
+    }
+
+    // The client's type wins: sniffing only sees containers (a .docx is a zip). It's the
+    // fallback when the client sent none or just the generic octet-stream.
+    const declared = file.mimetype !== 'application/octet-stream' ? file.mimetype : undefined;
+    payload.mimetype ||= declared || sniffMime(file.buffer)?.mimetype || file.mimetype;
+    payload.fileName ||= file.originalname;
+    return payload;
+}
+
+// Send a message from a connected session
+app.post('/api/sessions/:id/messages', receiveUpload, async (req, res) => {
+    const session = req.waSession;
+    const payload = req.file ? uploadPayload(req.body, req.file) : req.body;
+
+    if (session.state !== SessionState.CONNECTED) {
+        return res.status(409).json({ 
+            success: false,
+            state: session.state,
+            error: 'Session not connected',
+            message: 'Wait for the session to connect before sending messages'
+        });
+    }
+
+    let jid, content, quoted;
+    try {
+        jid = toJid(payload.to);
+        content = buildMessageContent(payload, { mediaDir: mediaStore.sessionDir(session.sessionId) });
+        quoted = buildQuoted(jid, payload.quoted);
+    } catch (error) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Invalid message',
+            message: error.message
+        });
+    }
+
+    try {
+        // Plain phone numbers are checked so typos don't silently go nowhere
+        if (!payload.to.includes('@')) {
+            const [result] = await session.bot.onWhatsApp(jid);
+            if (!result?.exists) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: 'Recipient not on WhatsApp',
+                    message: `${payload.to} is not registered on WhatsApp`
+                });
+            }
+            jid = result.jid;
+        }
+
+        const endTimer = sendDuration.startTimer({ type: payload.type || 'text' });
+        let sent;
+        try {
+            sent = await session.bot.sendMessage(jid, content, { quoted });
+            endTimer({ status: 'success' });
+        } catch (error) {
+            endTimer({ status: 'error' });
+            throw error;
+        }
+        session.log.info({ to: jid, id: sent.key.id }, 'Message sent');
+
+        res.json({
+            success: true,
+            key: sent.key,
+            status: statusName(sent.status),
+            timestamp: Number(sent.messageTimestamp) || Math.floor(Date.now() / 1000)
+        });
+    } catch (error) {
+        session.log.error({ err: error }, 'Failed to send message');
+        res.status(502).json({ 
+            success: false,
+            error: 'Failed to send message',
+            message: error.message
+        });
+    }
+});
+
+// Stored chat history
+app.get('/api/sessions/:id/chats', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const chats = await messageStore.listChats(req.waSession.sessionId);
+
+    res.json({
+        success: true,
+        sessionId: req.waSession.sessionId,
+        total: chats.length,
+        limit,
+        offset,
+        chats: chats.slice(offset, offset + limit)
+    });
+});
+
+app.get('/api/sessions/:id/chats/:jid/messages', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const before = typeof req.query.before === 'string' && req.query.before ? req.query.before : null;
+    const q = typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q : null;
+
+    const { messages, nextBefore } = await messageStore.listMessages(req.waSession.sessionId, req.params.jid, { before, limit, q });
+
+    res.json({
+        success: true,
+        sessionId: req.waSession.sessionId,
+        chat: req.params.jid,
+        count: messages.length,
+        nextBefore,
+        messages
+    });
+});
+
+// Media of a received message, downloaded now if it was not already
+app.get('/api/sessions/:id/media/:messageId', async (req, res) => {
+    const session = req.waSession;
+    let media, record;
+    try {
+        media = await mediaStore.get(session.sessionId, req.params.messageId);
+        record = media ? null : await messageStore.getMessage(session.sessionId, req.params.messageId);
+    } catch (error) {
+        session.log.error({ err: error, id: req.params.messageId }, 'Media lookup failed');
+        return res.status(500).json({
+            success: false,
+            error: 'Media lookup failed',
+            message: error.message
+        });
+    }
+
+    if (!media) {
+        if (!record?.media) {
+            return res.status(404).json({
+                success: false,
+                error: 'Media not found',
+                message: 'No stored message with media has this id'
+            });
+        }
+
+        if (session.state !== SessionState.CONNECTED) {
+            return res.status(409).json({
+                success: false,
+                state: session.state,
+                error: 'Session not connected',
+                message: 'The media has not been downloaded yet and the session is offline'
+            });
+        }
+
+        try {
+            media = await mediaStore.download(session, record.raw);
+        } catch (error) {
+            const tooLarge = error.code === 'MEDIA_TOO_LARGE';
+            session.log.warn({ err: error, id: req.params.messageId }, 'Media download failed');
+            return res.status(tooLarge ? 413 : 502).json({
+                success: false,
+                error: tooLarge ? 'Media too large' : 'Media download failed',
+                message: error.message
+            });
+        }
+    }
+
+    if (media.fileName) res.attachment(media.fileName);
+    res.set('Content-Type', media.mimetype);
+    res.sendFile(mediaStore.filePath(session.sessionId, media));
+});
+
+// Groups of a connected session
+function requireConnected(req, res, next) {
+    if (req.waSession.state === SessionState.CONNECTED) return next();
+
+    res.status(409).json({
+        success: false,
+        state: req.waSession.state,
+        error: 'Session not connected',
+        message: 'Wait for the session to connect before managing groups'
+    });
+}
+
+app.param('groupId', (req, res, next, groupId) => {
+    try {
+        req.groupJid = toGroupJid(groupId);
+        next();
+    } catch (error) {
+        res.status(400).json({ success: false, error: 'Invalid group id', message: error.message });
+    }
+});
+
+function sendGroupFailure(req, res, error, action) {
+    const status = groupFailureStatus(error);
+    req.waSession.log.warn({ err: error, group: req.groupJid, action }, 'Group request failed');
+
+    res.status(status).json({
+        success: false,
+        error: status === 403 ? 'Not allowed - the account must be a group admin' : `Failed to ${action}`,
+        message: error.message
+    });
+}
+
+app.get('/api/sessions/:id/groups', requireConnected, async (req, res) => {
+    try {
+        const groups = Object.values(await req.waSession.bot.groupFetchAllParticipating());
+
+        res.json({
+            success: true,
+            sessionId: req.waSession.sessionId,
+            total: groups.length,
+            groups: groups.map((metadata) => describeGroup(metadata, { participants: false }))
+        });
+    } catch (error) {
+        sendGroupFailure(req, res, error, 'list groups');
+    }
+});
+
+app.post('/api/sessions/:id/groups', requireConnected, async (req, res) => {
+    const { subject } = req.body;
+    let participants;
+    try {
+        if (typeof subject !== 'string' || !subject.trim()) throw new Error('"subject" is required');
+        participants = toParticipantJids(req.body.participants);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: 'Invalid group', message: error.message });
+    }
+
+    try {
+        const metadata = await req.waSession.bot.groupCreate(subject.trim(), participants);
+        req.waSession.log.info({ group: metadata.id }, 'Group created');
+        res.status(201).json({ success: true, group: describeGroup(metadata) });
+    } catch (error) {
+        sendGroupFailure(req, res, error, 'create group');
+    }
+});
+
+app.get('/api/sessions/:id/groups/:groupId', requireConnected, async (req, res) => {
+    try {
+        const metadata = await req.waSession.bot.groupMetadata(req.groupJid);
+        res.json({ success: true, group: describeGroup(metadata) });
+    } catch (error) {
+        sendGroupFailure(req, res, error, 'fetch group');
+    }
+});
 
-// Store active sessions
-const activeSessions = new Map();
+// Body: { action: add|remove|promote|demote, participants: [phone or JID] }
+app.post('/api/sessions/:id/groups/:groupId/participants', requireConnected, async (req, res) => {
+    const { action } = req.body;
+    let participants;
+    try {
+        if (!PARTICIPANT_ACTIONS.includes(action)) {
+            throw new Error(`"action" must be one of: ${PARTICIPANT_ACTIONS.join(', ')}`);
+        }
+        participants = toParticipantJids(req.body.participants);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: 'Invalid participants update', message: error.message });
+    }
 
-// Middleware
-app.use((req, res, next) => {
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
-    next();
+    try {
+        const results = await req.waSession.bot.groupParticipantsUpdate(req.groupJid, participants, action);
+        res.json({
+            success: true,
+            group: req.groupJid,
+            action,
+            results: results.map(({ jid, status }) => ({ jid, status: Number(status) }))
+        });
+    } catch (error) {
+        sendGroupFailure(req, res, error, `${action} participants`);
+    }
 });
 
-app.use(bodyParser.json({ limit: '1mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
+app.put('/api/sessions/:id/groups/:groupId/subject', requireConnected, async (req, res) => {
+    const { subject } = req.body;
+    if (typeof subject !== 'string' || !subject.trim()) {
+        return res.status(400).json({ success: false, error: 'Invalid subject', message: '"subject" is required' });
+    }
 
-// Session cleanup function
-async function cleanupSession(sessionDir) {
     try {
-        await fs.rm(sessionDir, { recursive: true, force: true });
-        activeSessions.delete(sessionDir);
-        console.log(`🧹 Cleaned up session: ${sessionDir}`);
+        await req.waSession.bot.groupUpdateSubject(req.groupJid, subject.trim());
+        res.json({ success: true, group: req.groupJid, subject: subject.trim() });
     } catch (error) {
-        console.log('Cleanup warning:', error.message);
+        sendGroupFailure(req, res, error, 'update subject');
     }
-}
+});
 
-// QR Code pairing endpoint
-app.get('/api/code/qr', async (req, res) => {
-    console.log('📡 QR code endpoint hit');
-    
-    const sessionId = 'session_' + Date.now();
-    const sessionDir = `./${sessionId}`;
+// An empty description clears it
+app.put('/api/sessions/:id/groups/:groupId/description', requireConnected, async (req, res) => {
+    const { description } = req.body;
+    if (typeof description !== 'string') {
+        return res.status(400).json({ success: false, error: 'Invalid description', message: '"description" must be a string' });
+    }
 
-    console.log('🔐 Starting QR pairing session');
-    
     try {
-        const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
-        
-        const socketConfig = {
-            auth: {
-                creds: state.creds,
-                keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "silent" })),
-            },
-            printQRInTerminal: true,
-            logger: pino({ level: "silent" }),
-            browser: ["DTZ-NOVA-X-MD", "Chrome", "2.2.0"],
-            markOnlineOnConnect: false,
-            generateHighQualityLinkPreview: false,
-        };
-
-        const bot = makeWASocket(socketConfig);
-
-        let qrGenerated = false;
-        let isConnected = false;
-
-        bot.ev.on('creds.update', saveCreds);
-
-        // Handle incoming messages
-        bot.ev.on('messages.upsert', async (m) => {
-            const message = m.messages[0];
-            if (message.key && message.key.fromMe) return;
-            
-            if (message.message) {
-                console.log('📨 Received message:', message.message);
-                
-                // Auto-reply to messages
-                const userJid = message.key.remoteJid;
-                const messageText = message.message.conversation || 
-                                  message.message.extendedTextMessage?.text || 
-                                  'Message received';
-                
-                try {
-                    await bot.sendMessage(userJid, { 
-                        text: `🤖 *DTZ NOVA X MD*\n\nThank you for your message: "${messageText}"\n\nI am an automated WhatsApp bot.\n\n📢 Channel: https://chat.whatsapp.com/KJnHbIYysdrJhCLH8C1HFe\n👤 Owner: wa.me/94752978237` 
-                    });
-                    console.log('✅ Auto-reply sent');
-                } catch (error) {
-                    console.log('❌ Failed to send auto-reply:', error.message);
-                }
-            }
-        });
-
-        bot.ev.on("connection.update", async (update) => {
-            const { connection, lastDisconnect, qr } = update;
-            
-            console.log(`🔗 Connection state: ${connection}`);
+        await req.waSession.bot.groupUpdateDescription(req.groupJid, description || undefined);
+        res.json({ success: true, group: req.groupJid, description: description || null });
+    } catch (error) {
+        sendGroupFailure(req, res, error, 'update description');
+    }
+});
 
-            if (qr && !qrGenerated) {
-                console.log('📱 QR Code received');
-                qrGenerated = true;
-                
-                try {
-                    // Generate QR code as data URL
-                    const qrImage = await qrcode.toDataURL(qr);
-                    
-                    // Store session info
-                    activeSessions.set(sessionId, {
-                        bot,
-                        sessionDir,
-                        connected: false
-                    });
-
-                    console.log('✅ QR code generated and sent to client');
-                    res.json({
-                        success: true,
-                        qrCode: qrImage,
-                        sessionId: sessionId,
-                        message: 'Scan this QR code with WhatsApp'
-                    });
-
-                } catch (qrError) {
-                    console.error('QR generation error:', qrError);
-                    if (!res.headersSent) {
-                        res.status(500).json({ 
-                            success: false,
-                            error: 'Failed to generate QR code',
-                            message: 'Please try again'
-                        });
-                    }
-                }
-            }
+app.get('/api/sessions/:id/groups/:groupId/invite', requireConnected, async (req, res) => {
+    try {
+        const code = await req.waSession.bot.groupInviteCode(req.groupJid);
+        res.json({ success: true, group: req.groupJid, code, link: `https://chat.whatsapp.com/${code}` });
+    } catch (error) {
+        sendGroupFailure(req, res, error, 'get invite link');
+    }
+});
 
-            if (connection === "open") {
-                console.log('✅ WhatsApp connected successfully!');
-                isConnected = true;
-                
-                const session = activeSessions.get(sessionId);
-                if (session) {
-                    session.connected = true;
-                    
-                    // Send welcome message to the bot's own number
-                    try {
-                        const botInfo = bot.user;
-                        if (botInfo && botInfo.id) {
-                            await bot.sendMessage(botInfo.id, { 
-                                text: `✅ *DTZ NOVA X MD CONNECTED SUCCESSFULLY!*\n\n🤖 Your WhatsApp is now connected to DTZ NOVA X MD\n\n📢 Join our channel: https://chat.whatsapp.com/KJnHbIYysdrJhCLH8C1HFe\n\n👤 Contact owner: wa.me/94752978237\n\n💬 You can now send and receive messages!\n\n⚠️ *DO NOT SHARE YOUR SESSION DATA*` 
-                            });
-                            console.log('📨 Welcome message sent to bot');
-                        }
-                    } catch (msgError) {
-                        console.log('Welcome message warning:', msgError.message);
-                    }
+app.post('/api/sessions/:id/groups/:groupId/invite/revoke', requireConnected, async (req, res) => {
+    try {
+        const code = await req.waSession.bot.groupRevokeInvite(req.groupJid);
+        res.json({ success: true, group: req.groupJid, code, link: `https://chat.whatsapp.com/${code}` });
+    } catch (error) {
+        sendGroupFailure(req, res, error, 'revoke invite link');
+    }
+});
 
-                    // Keep session alive
-                    setTimeout(async () => {
-                        if (isConnected) {
-                            console.log('🔄 Session kept alive for messaging');
-                        }
-                    }, 30000);
-                }
-            }
+// Session lifecycle: logout, restart and delete
+app.post('/api/sessions/:id/logout', async (req, res) => {
+    const { session, unlinked } = await sessionManager.logout(req.waSession.sessionId);
 
-            if (connection === "close") {
-                console.log('❌ Connection closed');
-                isConnected = false;
-                await cleanupSession(sessionDir);
-            }
-        });
+    res.json({
+        success: true,
+        sessionId: session.sessionId,
+        state: session.state,
+        unlinked,
+        message: unlinked
+            ? 'Device logged out and credentials removed'
+            : 'Credentials removed, but the device could not be unlinked. Remove it under Linked devices on the phone.'
+    });
+});
 
-        // Timeout if no QR code in 30 seconds
-        setTimeout(() => {
-            if (!qrGenerated && !res.headersSent) {
-                console.log('⏰ QR generation timeout');
-                res.status(408).json({ 
-                    success: false,
-                    error: 'QR code timeout',
-                    message: 'Please try generating a new QR code'
-                });
-                cleanupSession(sessionDir);
-            }
-        }, 30000);
+app.post('/api/sessions/:id/restart', async (req, res) => {
+    try {
+        const session = await sessionManager.restart(req.waSession.sessionId);
 
+        res.json({
+            success: true,
+            sessionId: session.sessionId,
+            state: session.state,
+            message: 'Session is reconnecting from saved credentials'
+        });
     } catch (error) {
-        console.error('💥 QR Session error:', error);
-        await cleanupSession(sessionDir);
-        
-        if (!res.headersSent) {
-            res.status(500).json({ 
+        if (error.code === 'NOT_PAIRED') {
+            return res.status(409).json({ 
                 success: false,
-                error: 'Session failed',
-                message: 'Please try again'
+                state: req.waSession.state,
+                error: 'Session not paired',
+                message: error.message
             });
         }
+
+        req.log.error({ err: error, sessionId: req.waSession.sessionId }, 'Session restart failed');
+        res.status(500).json({ 
+            success: false,
+            state: req.waSession.state,
+            error: 'Restart failed',
+            message: 'Please try again'
+        });
     }
 });
 
-// Phone number pairing endpoint
-app.get('/api/code/phone', async (req, res) => {
-    console.log('📡 Phone pairing endpoint hit');
-    
-    const { number } = req.query;
-    
-    if (!number) {
-        return res.status(400).json({ 
+// Change the Baileys log level of one session without a restart
+app.put('/api/sessions/:id/log-level', (req, res) => {
+    try {
+        const session = sessionManager.setSocketLogLevel(req.waSession.sessionId, req.body?.level);
+
+        res.json({
+            success: true,
+            sessionId: session.sessionId,
+            socketLogLevel: session.socketLog.level
+        });
+    } catch (error) {
+        if (error.code !== 'INVALID_LEVEL') throw error;
+
+        res.status(400).json({
             success: false,
-            error: 'Phone number required',
-            message: 'Please provide a phone number parameter'
+            error: 'Invalid log level',
+            message: error.message
         });
     }
+});
 
-    const cleanNumber = number.replace(/\D/g, '');
-    const sessionDir = `./session_${cleanNumber}_${Date.now()}`;
+app.delete('/api/sessions/:id', async (req, res) => {
+    const { sessionId } = req.waSession;
+    await sessionManager.remove(sessionId);
 
-    console.log(`📞 Attempting phone pairing for: ${cleanNumber}`);
+    res.json({
+        success: true,
+        sessionId,
+        state: SessionState.CLOSED,
+        message: 'Session closed and credentials deleted. The device stays linked until removed in WhatsApp.'
+    });
+});
 
-    try {
-        const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
-        
-        const socketConfig = {
-            auth: {
-                creds: state.creds,
-                keys: makeCacheableSignalKeyStore(state.keys, pino({ level: "fatal" })),
-            },
-            printQRInTerminal: false,
-            logger: pino({ level: "fatal" }),
-            browser: ["DTZ-NOVA-X-MD", "Chrome", "2.2.0"],
-            connectTimeoutMs: 30000,
-        };
-
-        const bot = makeWASocket(socketConfig);
-
-        let isConnected = false;
-
-        bot.ev.on('creds.update', saveCreds);
-
-        // Handle incoming messages for phone pairing
-        bot.ev.on('messages.upsert', async (m) => {
-            const message = m.messages[0];
-            if (message.key && message.key.fromMe) return;
-            
-            if (message.message) {
-                console.log('📨 Received message (Phone pairing):', message.message);
-                
-                const userJid = message.key.remoteJid;
-                const messageText = message.message.conversation || 
-                                  message.message.extendedTextMessage?.text || 
-                                  'Message received';
-                
-                try {
-                    await bot.sendMessage(userJid, { 
-                        text: `🤖 *DTZ NOVA X MD - Phone Pairing*\n\nThank you for your message: "${messageText}"\n\nYour phone pairing was successful!\n\n📢 Channel: https://chat.whatsapp.com/KJnHbIYysdrJhCLH8C1HFe\n👤 Owner: wa.me/94752978237` 
-                    });
-                    console.log('✅ Auto-reply sent for phone pairing');
-                } catch (error) {
-                    console.log('❌ Failed to send auto-reply:', error.message);
-                }
-            }
-        });
+// Export a paired session as a passphrase-encrypted session string
+app.post('/api/sessions/:id/export', (req, res) => {
+    const session = req.waSession;
+    const creds = session.bot?.authState.creds;
 
-        bot.ev.on("connection.update", async (update) => {
-            const { connection } = update;
-            
-            if (connection === "open") {
-                console.log('✅ WhatsApp connected via phone pairing!');
-                isConnected = true;
-                
-                // Send welcome message
-                try {
-                    const userJid = cleanNumber + '@s.whatsapp.net';
-                    await bot.sendMessage(userJid, { 
-                        text: `✅ *DTZ NOVA X MD - PHONE PAIRING SUCCESSFUL!*\n\n🤖 Your WhatsApp is now connected via phone pairing\n\n📢 Join our channel: https://chat.whatsapp.com/KJnHbIYysdrJhCLH8C1HFe\n\n👤 Contact owner: wa.me/94752978237\n\n💬 You can now send and receive messages!\n\n⚠️ *DO NOT SHARE YOUR SESSION DATA*` 
-                    });
-                    console.log('📨 Welcome message sent via phone pairing');
-                } catch (msgError) {
-                    console.log('Welcome message warning:', msgError.message);
-                }
-            }
+    if (!creds?.me) {
+        return res.status(409).json({ 
+            success: false,
+            state: session.state,
+            error: 'Session not paired',
+            message: 'Only paired sessions can be exported'
         });
+    }
 
-        if (!bot.authState.creds.registered) {
-            await delay(3000);
-            
-            try {
-                const pairingCode = await bot.requestPairingCode(cleanNumber);
-                console.log(`✅ Pairing code generated: ${pairingCode}`);
-                
-                res.json({
-                    success: true,
-                    code: pairingCode,
-                    message: 'Use this code in WhatsApp: Linked Devices → Link a Device',
-                    number: cleanNumber
-                });
+    try {
+        const sessionString = encodeSessionString(creds, req.body.passphrase);
+        session.log.info('Session exported');
 
-                // Store session for messaging
-                activeSessions.set(sessionDir, {
-                    bot,
-                    sessionDir,
-                    connected: true
-                });
+        res.json({
+            success: true,
+            sessionId: session.sessionId,
+            sessionString
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            success: false,
+            error: 'Export failed',
+            message: error.message
+        });
+    }
+});
 
-                // Set cleanup timeout (longer for phone pairing)
-                setTimeout(async () => {
-                    if (isConnected) {
-                        console.log('🔄 Phone pairing session active');
-                    } else {
-                        await cleanupSession(sessionDir);
-                    }
-                }, 60000);
+// Restore a session string into the auth store and connect it
+app.post('/api/sessions/import', pairingLimiter, async (req, res) => {
+    const { sessionString, passphrase } = req.body;
 
-            } catch (pairError) {
-                console.error('❌ Pairing error:', pairError.message);
-                await cleanupSession(sessionDir);
-                
-                res.json({
-                    success: false,
-                    error: 'Phone pairing failed',
-                    message: 'Please use QR code method instead',
-                    alternative: '/api/code/qr'
-                });
-            }
-        } else {
-            await cleanupSession(sessionDir);
-            res.json({
+    let creds;
+    try {
+        creds = decodeSessionString(sessionString, passphrase);
+    } catch (error) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Invalid session string',
+            code: error.code,
+            message: error.message
+        });
+    }
+
+    try {
+        const session = await sessionManager.importSession({ creds, owner: req.apiKey.name });
+        session.log.info('Session imported');
+
+        res.status(201).json({
+            success: true,
+            sessionId: session.sessionId,
+            state: session.state,
+            number: session.number
+        });
+    } catch (error) {
+        if (error.code === 'ALREADY_ACTIVE') {
+            return res.status(409).json({ 
                 success: false,
-                error: 'Already registered',
-                message: 'This number appears to be already registered'
+                error: 'Already active',
+                message: error.message
             });
         }
 
+        req.log.error({ err: error }, 'Session import failed');
+        res.status(500).json({ 
+            success: false,
+            error: 'Import failed',
+            message: 'Please try again'
+        });
+    }
+});
+
+// Webhook registration and delivery log
+app.post('/api/sessions/:id/webhooks', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const webhook = await webhooks.add(id, req.body);
+        req.waSession.log.info({ webhookId: webhook.id, url: webhook.url }, 'Webhook registered');
+
+        // The secret is only ever returned here
+        res.status(201).json({
+            success: true,
+            webhook
+        });
     } catch (error) {
-        console.error('💥 Phone pairing failed:', error);
-        await cleanupSession(sessionDir);
-        
-        res.json({
+        res.status(400).json({ 
             success: false,
-            error: 'Phone pairing not available',
-            message: 'Please use QR code method',
-            qrEndpoint: '/api/code/qr'
+            error: 'Invalid webhook',
+            message: error.message
         });
     }
 });
 
-// Check connection status endpoint
-app.get('/api/code/status/:sessionId', async (req, res) => {
-    const { sessionId } = req.params;
-    console.log(`📡 Status check for session: ${sessionId}`);
-    
-    const session = activeSessions.get(sessionId);
-    
-    if (!session) {
-        return res.json({ 
+app.get('/api/sessions/:id/webhooks', (req, res) => {
+    const hooks = webhooks.list(req.params.id).map(({ secret, ...webhook }) => webhook);
+
+    res.json({
+        success: true,
+        webhooks: hooks
+    });
+});
+
+app.get('/api/sessions/:id/webhooks/deliveries', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+    res.json({
+        success: true,
+        deliveries: webhooks.listDeliveries(req.params.id, limit)
+    });
+});
+
+app.delete('/api/sessions/:id/webhooks/:webhookId', async (req, res) => {
+    const removed = await webhooks.remove(req.params.id, req.params.webhookId);
+
+    if (!removed) {
+        return res.status(404).json({ 
             success: false,
-            connected: false, 
-            error: 'Session not found or expired' 
+            error: 'Webhook not found' 
         });
     }
-    
-    res.json({ 
+
+    res.json({ success: true });
+});
+
+// Chat filtering rules for the responder; PUT merges, DELETE goes back to the defaults
+app.get('/api/sessions/:id/rules', (req, res) => {
+    res.json({
         success: true,
-        connected: session.connected,
-        message: session.connected ? 'WhatsApp connected successfully!' : 'Waiting for QR scan...'
+        rules: chatRules.get(req.params.id)
     });
 });
 
-// Get all active sessions
-app.get('/api/sessions', (req, res) => {
-    const sessions = Array.from(activeSessions.entries()).map(([id, session]) => ({
-        sessionId: id,
-        connected: session.connected,
-        directory: session.sessionDir
-    }));
-    
+app.put('/api/sessions/:id/rules', async (req, res) => {
+    try {
+        const rules = await chatRules.update(req.params.id, req.body);
+        req.waSession.log.info({ rules }, 'Chat rules updated');
+
+        res.json({
+            success: true,
+            rules
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid rules',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/sessions/:id/rules', async (req, res) => {
     res.json({
         success: true,
-        activeSessions: sessions.length,
-        sessions: sessions
+        rules: await chatRules.reset(req.params.id)
     });
 });
 
-// Health check endpoints
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'healthy',
-        service: 'DTZ NOVA X MD',
-        version: '2.2.0',
+// Health check endpoints: /health and /health/live for liveness, /health/ready for readiness
+app.get('/api/health', async (req, res) => {
+    const { ready, checks } = await health.readiness();
+
+    res.status(ready ? 200 : 503).json({ 
+        status: ready ? 'healthy' : 'degraded',
+        service: branding.name,
+        version: branding.version,
         timestamp: new Date().toISOString(),
         uptime: Math.floor(process.uptime()),
-        activeSessions: activeSessions.size
+        activeSessions: sessionManager.size,
+        checks
     });
 });
 
@@ -405,31 +1205,90 @@ app.get('/health', (req, res) => {
     res.status(200).send('OK');
 });
 
+app.get('/health/live', (req, res) => {
+    res.json(health.liveness());
+});
+
+app.get('/health/ready', async (req, res) => {
+    const { ready, checks } = await health.readiness();
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        timestamp: new Date().toISOString(),
+        checks
+    });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+    res.set('Content-Type', registry.contentType);
+    res.end(await registry.metrics());
+});
+
 // Test endpoint
 app.get('/api/test', (req, res) => {
     res.json({ 
         success: true,
-        message: 'DTZ NOVA X MD API is working!',
+        message: `${branding.name} API is working!`,
         endpoints: [
             'GET /api/code/qr',
-            'GET /api/code/phone?number=PHONE',
+            'GET /api/code/qr/:sessionId',
+            'GET /api/code/phone?number=PHONE&country=CODE',
             'GET /api/code/status/:sessionId',
-            'GET /api/sessions',
-            'GET /api/health'
+            'GET /api/code/events/:sessionId',
+            'GET /api/sessions?state=&method=&limit=&offset=',
+            'POST /api/sessions/:id/messages',
+            'GET /api/sessions/:id/chats',
+            'GET /api/sessions/:id/chats/:jid/messages?before=&limit=&q=',
+            'GET /api/sessions/:id/media/:messageId',
+            'GET /api/sessions/:id/groups',
+            'POST /api/sessions/:id/groups',
+            'GET /api/sessions/:id/groups/:groupId',
+            'POST /api/sessions/:id/groups/:groupId/participants',
+            'PUT /api/sessions/:id/groups/:groupId/subject',
+            'PUT /api/sessions/:id/groups/:groupId/description',
+            'GET /api/sessions/:id/groups/:groupId/invite',
+            'POST /api/sessions/:id/groups/:groupId/invite/revoke',
+            'POST /api/sessions/:id/logout',
+            'POST /api/sessions/:id/restart',
+            'PUT /api/sessions/:id/log-level',
+            'DELETE /api/sessions/:id',
+            'POST /api/sessions/:id/export',
+            'POST /api/sessions/import',
+            'POST /api/sessions/:id/webhooks',
+            'GET /api/sessions/:id/webhooks',
+            'GET /api/sessions/:id/webhooks/deliveries',
+            'DELETE /api/sessions/:id/webhooks/:webhookId',
+            'GET /api/sessions/:id/rules',
+            'PUT /api/sessions/:id/rules',
+            'DELETE /api/sessions/:id/rules',
+            'GET /api/health',
+            'GET /health/live',
+            'GET /health/ready',
+            'GET /metrics'
         ],
-        activeSessions: activeSessions.size
+        activeSessions: sessionManager.size
     });
 });
 
+// Branding values come from config and end up inside the page markup
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 // Serve the complete HTML page
 app.get('/', (req, res) => {
+    const name = escapeHtml(branding.name);
+
     res.send(`
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>DTZ NOVA X MD - Complete WhatsApp Bot</title>
+    <title>${name} - ${escapeHtml(branding.tagline)}</title>
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
     <link href="https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap" rel="stylesheet">
     <style>
@@ -717,6 +1576,12 @@ app.get('/', (req, res) => {
             border: 1px solid var(--error);
         }
 
+        .status-warning {
+            background: rgba(255, 170, 0, 0.1);
+            color: var(--warning);
+            border: 1px solid var(--warning);
+        }
+
         /* Code Box */
         .code-box {
             background: rgba(255, 255, 255, 0.1);
@@ -787,16 +1652,16 @@ app.get('/', (req, res) => {
     <div class="container">
         <header>
             <div class="logo">
-                <img src="https://files.catbox.moe/avflwa.jpg" alt="DTZ NOVA X MD" class="logo-img">
+                <img src="${escapeHtml(branding.logoUrl)}" alt="${name}" class="logo-img">
                 <div class="logo-text">
-                    <h1>DTZ NOVA X MD</h1>
-                    <div>Complete WhatsApp Bot Solution</div>
+                    <h1>${name}</h1>
+                    <div>${escapeHtml(branding.tagline)}</div>
                 </div>
             </div>
         </header>
 
         <main class="main-content">
-            <img src="https://files.catbox.moe/g1zze2.jpg" alt="Feature" class="feature-img">
+            ${branding.bannerUrl ? `<img src="${escapeHtml(branding.bannerUrl)}" alt="Feature" class="feature-img">` : ''}
             
             <h2>Advanced WhatsApp Bot with Messaging</h2>
             <p>Connect your WhatsApp instantly using QR code or phone number pairing with full messaging capabilities</p>
@@ -865,11 +1730,7 @@ app.get('/', (req, res) => {
                     <div class="phone-input-group">
                         <label class="input-label">Country Code</label>
                         <select class="input-field" id="countryCode">
-                            <option value="94">Sri Lanka (+94)</option>
-                            <option value="91">India (+91)</option>
-                            <option value="1">USA/Canada (+1)</option>
-                            <option value="44">UK (+44)</option>
-                            <option value="61">Australia (+61)</option>
+                            ${COUNTRIES.map((country) => `<option value="${country.dialCode}">${country.name} (+${country.dialCode})</option>`).join('\n                            ')}
                         </select>
                     </div>
 
@@ -884,6 +1745,7 @@ app.get('/', (req, res) => {
                     </button>
 
                     <div id="phoneResult"></div>
+                    <div id="phoneStatus"></div>
                 </div>
             </div>
 
@@ -901,10 +1763,10 @@ app.get('/', (req, res) => {
             <!-- Additional Links -->
             <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid rgba(255,255,255,0.1);">
                 <div class="buttons">
-                    <a href="https://wa.me/94752978237" class="btn" target="_blank">
+                    <a href="https://wa.me/${branding.ownerNumber}" class="btn" target="_blank">
                         <i class="fas fa-headset"></i> Contact Support
                     </a>
-                    <a href="https://chat.whatsapp.com/KJnHbIYysdrJhCLH8C1HFe" class="btn" target="_blank">
+                    <a href="${escapeHtml(branding.channelUrl)}" class="btn" target="_blank">
                         <i class="fas fa-users"></i> Join Group
                     </a>
                     <a href="/api/health" class="btn" target="_blank">
@@ -915,14 +1777,14 @@ app.get('/', (req, res) => {
         </main>
 
         <footer>
-            <p>&copy; 2024 DTZ NOVA X MD. All rights reserved. | Version 2.2.0</p>
+            <p>&copy; ${new Date().getFullYear()} ${name}. All rights reserved. | Version ${escapeHtml(branding.version)}</p>
         </footer>
     </div>
 
     <!-- Background Audio -->
-    <audio id="bgMusic" loop>
-        <source src="https://files.catbox.moe/od0rav.mp3" type="audio/mpeg">
-    </audio>
+    ${branding.audioUrl ? `<audio id="bgMusic" loop>
+        <source src="${escapeHtml(branding.audioUrl)}" type="audio/mpeg">
+    </audio>` : ''}
 
     <script>
         // Simple particles for background
@@ -958,9 +1820,26 @@ app.get('/', (req, res) => {
                 // Clear previous results
                 document.getElementById('qrStatus').innerHTML = '';
                 document.getElementById('phoneResult').innerHTML = '';
+                document.getElementById('phoneStatus').innerHTML = '';
             });
         });
 
+        // API calls send the key remembered in this browser, asking for one when the server requires it
+        async function apiFetch(url) {
+            const apiKey = localStorage.getItem('apiKey');
+            const response = await fetch(url, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+
+            if (response.status === 401) {
+                const entered = prompt('This server requires an API key:');
+                if (entered) {
+                    localStorage.setItem('apiKey', entered.trim());
+                    return apiFetch(url);
+                }
+            }
+
+            return response;
+        }
+
         // QR Code Generation
         document.getElementById('generateQrBtn').addEventListener('click', async function() {
             const btn = this;
@@ -973,7 +1852,7 @@ app.get('/', (req, res) => {
             qrContainer.innerHTML = '';
 
             try {
-                const response = await fetch('/api/code/qr');
+                const response = await apiFetch('/api/code/qr');
                 const data = await response.json();
 
                 if (data.success && data.qrCode) {
@@ -985,9 +1864,10 @@ app.get('/', (req, res) => {
                     
                     qrStatus.innerHTML = '<div class="status-message status-success"><i class="fas fa-check-circle"></i> QR Code generated! Scan it with WhatsApp.</div>';
                     
-                    // Check connection status periodically
+                    // Follow QR refreshes and connection state live
                     if (data.sessionId) {
-                        checkQrConnectionStatus(data.sessionId);
+                        watchSessionEvents(data.sessionId, 'qr');
+                        scheduleQrRefresh(data.sessionId, data.expiresAt);
                     }
 
                     // Update button to allow regeneration
@@ -995,7 +1875,8 @@ app.get('/', (req, res) => {
                     btn.innerHTML = '<i class="fas fa-sync"></i> Generate New QR';
 
                 } else {
-                    qrStatus.innerHTML = \`<div class="status-message status-error"><i class="fas fa-exclamation-triangle"></i> \${data.error || 'Failed to generate QR code'}</div>\`;
+                    const error = response.status === 429 ? data.message : data.error;
+                    qrStatus.innerHTML = \`<div class="status-message status-error"><i class="fas fa-exclamation-triangle"></i> \${error || 'Failed to generate QR code'}</div>\`;
                     btn.disabled = false;
                     btn.innerHTML = '<i class="fas fa-qrcode"></i> Generate QR Code';
                 }
@@ -1009,7 +1890,7 @@ app.get('/', (req, res) => {
         // Phone Number Pairing
         document.getElementById('getCodeBtn').addEventListener('click', async function() {
             const rawNumber = document.getElementById('phoneNumber').value.replace(/\\s/g, '');
-            const fullNumber = document.getElementById('countryCode').value + rawNumber;
+            const countryCode = document.getElementById('countryCode').value;
             const result = document.getElementById('phoneResult');
             const btn = this;
 
@@ -1023,13 +1904,17 @@ app.get('/', (req, res) => {
             result.innerHTML = '<div class="status-message status-loading"><i class="fas fa-sync fa-spin"></i> Connecting to WhatsApp...</div>';
 
             try {
-                const response = await fetch(\`/api/code/phone?number=\${encodeURIComponent(fullNumber)}\`);
+                const response = await apiFetch(\`/api/code/phone?number=\${encodeURIComponent(rawNumber)}&country=\${countryCode}\`);
                 const data = await response.json();
 
                 if (data.success && data.code) {
                     showPhoneCode(data.code);
+                    if (data.sessionId) {
+                        watchSessionEvents(data.sessionId, 'phone');
+                    }
                 } else {
-                    result.innerHTML = \`<div class="status-message status-error"><i class="fas fa-exclamation-triangle"></i> \${data.error || data.message || 'Failed to generate code'}</div>\`;
+                    const error = response.status === 400 || response.status === 409 || response.status === 429 ? data.message : data.error;
+                    result.innerHTML = \`<div class="status-message status-error"><i class="fas fa-exclamation-triangle"></i> \${error || data.message || 'Failed to generate code'}</div>\`;
                     if (data.qrEndpoint) {
                         result.innerHTML += \`<div class="status-message status-loading" style="margin-top: 10px;">Try the <a href="javascript:switchToQr()" style="color: var(--primary); font-weight: 600;">QR Code method</a> for better reliability.</div>\`;
                     }
@@ -1077,32 +1962,71 @@ app.get('/', (req, res) => {
             });
         }
 
-        function checkQrConnectionStatus(sessionId) {
-            const qrStatus = document.getElementById('qrStatus');
-            let checks = 0;
-            const maxChecks = 60; // 2 minutes max
+        let sessionEvents = null;
+        let qrRefreshTimer = null;
 
-            const interval = setInterval(async () => {
-                checks++;
-                
-                if (checks >= maxChecks) {
-                    clearInterval(interval);
-                    qrStatus.innerHTML = '<div class="status-message status-error"><i class="fas fa-clock"></i> QR code expired. Generate a new one.</div>';
-                    return;
-                }
+        // Fallback for when the event stream lags: re-fetch the QR shortly before it expires
+        function scheduleQrRefresh(sessionId, expiresAt) {
+            clearTimeout(qrRefreshTimer);
+            if (!expiresAt) return;
 
+            const wait = Math.max(new Date(expiresAt).getTime() - Date.now() - 3000, 1000);
+            qrRefreshTimer = setTimeout(async () => {
                 try {
-                    const response = await fetch(\`/api/code/status/\${sessionId}\`);
+                    const response = await apiFetch(\`/api/code/qr/\${sessionId}\`);
                     const data = await response.json();
-                    
-                    if (data.connected) {
-                        qrStatus.innerHTML = '<div class="status-message status-success"><i class="fas fa-check-circle"></i> ✅ WhatsApp connected successfully! You can now receive messages.</div>';
-                        clearInterval(interval);
-                    }
+                    if (!data.success) return;
+
+                    const img = document.querySelector('#qrContainer .qr-code');
+                    if (img) img.src = data.qrCode;
+                    scheduleQrRefresh(sessionId, data.expiresAt);
                 } catch (error) {
-                    // Ignore status check errors
+                    // Ignore refresh errors
+                }
+            }, wait);
+        }
+
+        function watchSessionEvents(sessionId, method) {
+            if (sessionEvents) sessionEvents.close();
+
+            const statusBox = document.getElementById(method === 'qr' ? 'qrStatus' : 'phoneStatus');
+            const apiKey = localStorage.getItem('apiKey');
+            const events = new EventSource(\`/api/code/events/\${sessionId}\` + (apiKey ? \`?apiKey=\${encodeURIComponent(apiKey)}\` : ''));
+            sessionEvents = events;
+
+            events.addEventListener('qr', (e) => {
+                const { qrCode, expiresAt } = JSON.parse(e.data);
+                const img = document.querySelector('#qrContainer .qr-code');
+                if (img) img.src = qrCode;
+                scheduleQrRefresh(sessionId, expiresAt);
+            });
+
+            events.addEventListener('state', (e) => {
+                const { state, reconnectAttempts } = JSON.parse(e.data);
+                if (state !== 'qr_ready') clearTimeout(qrRefreshTimer);
+
+                if (state === 'connected') {
+                    statusBox.innerHTML = '<div class="status-message status-success"><i class="fas fa-check-circle"></i> ✅ WhatsApp connected successfully! You can now receive messages.</div>';
+                    events.close();
+                } else if (state === 'reconnecting') {
+                    statusBox.innerHTML = \`<div class="status-message status-loading"><i class="fas fa-sync fa-spin"></i> Linking device... (attempt \${reconnectAttempts || 1})</div>\`;
+                }
+            });
+
+            events.addEventListener('disconnect', (e) => {
+                const { reason } = JSON.parse(e.data);
+                if (reason === 'loggedOut') {
+                    statusBox.innerHTML = '<div class="status-message status-error"><i class="fas fa-exclamation-triangle"></i> Device was logged out.</div>';
                 }
-            }, 2000);
+            });
+
+            events.addEventListener('closed', () => {
+                clearTimeout(qrRefreshTimer);
+                statusBox.innerHTML = method === 'qr'
+                    ? '<div class="status-message status-error"><i class="fas fa-clock"></i> QR code expired. Generate a new one.</div>'
+                    : '<div class="status-message status-error"><i class="fas fa-clock"></i> Pairing code expired. Request a new one.</div>';
+                events.close();
+            });
         }
 
         // Server status check
@@ -1114,9 +2038,17 @@ app.get('/', (req, res) => {
             try {
                 const response = await fetch('/api/health');
                 const data = await response.json();
-                
-                statusDiv.innerHTML = \`<i class="fas fa-check-circle"></i> Server is healthy | Version: \${data.version} | Uptime: \${data.uptime}s | Sessions: \${data.activeSessions}\`;
-                statusDiv.className = 'status-message status-success';
+                const details = \`Version: \${data.version} | Uptime: \${data.uptime}s | Sessions: \${data.activeSessions}\`;
+
+                // 503 with status "degraded" when a readiness check fails
+                if (response.ok && data.status === 'healthy') {
+                    statusDiv.innerHTML = \`<i class="fas fa-check-circle"></i> Server is healthy | \${details}\`;
+                    statusDiv.className = 'status-message status-success';
+                } else {
+                    const failing = Object.entries(data.checks || {}).filter(([, check]) => !check.ok).map(([name]) => name);
+                    statusDiv.innerHTML = \`<i class="fas fa-exclamation-triangle"></i> Server is degraded\${failing.length ? ' (' + failing.join(', ') + ')' : ''} | \${details}\`;
+                    statusDiv.className = 'status-message status-warning';
+                }
             } catch (error) {
                 statusDiv.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Server is not responding';
                 statusDiv.className = 'status-message status-error';
@@ -1144,6 +2076,7 @@ app.get('/', (req, res) => {
         // Auto-play background music
         function playBackgroundMusic() {
             const audio = document.getElementById('bgMusic');
+            if (!audio) return;
             audio.volume = 0.3;
             
             const playAudio = () => {
@@ -1173,7 +2106,7 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('💥 Server Error:', err);
+    (req.log || logger).error({ err }, 'Unhandled request error');
     res.status(500).json({ 
         success: false,
         error: 'Internal server error',
@@ -1191,11 +2124,41 @@ app.use('*', (req, res) => {
             availableEndpoints: [
                 'GET /',
                 'GET /api/code/qr',
-                'GET /api/code/phone?number=PHONE',
+                'GET /api/code/qr/:sessionId',
+                'GET /api/code/phone?number=PHONE&country=CODE',
                 'GET /api/code/status/:sessionId',
+                'GET /api/code/events/:sessionId',
                 'GET /api/sessions',
+                'POST /api/sessions/:id/messages',
+                'GET /api/sessions/:id/chats',
+                'GET /api/sessions/:id/chats/:jid/messages',
+                'GET /api/sessions/:id/media/:messageId',
+                'GET /api/sessions/:id/groups',
+                'POST /api/sessions/:id/groups',
+                'GET /api/sessions/:id/groups/:groupId',
+                'POST /api/sessions/:id/groups/:groupId/participants',
+                'PUT /api/sessions/:id/groups/:groupId/subject',
+                'PUT /api/sessions/:id/groups/:groupId/description',
+                'GET /api/sessions/:id/groups/:groupId/invite',
+                'POST /api/sessions/:id/groups/:groupId/invite/revoke',
+                'POST /api/sessions/:id/logout',
+                'POST /api/sessions/:id/restart',
+                'PUT /api/sessions/:id/log-level',
+                'DELETE /api/sessions/:id',
+                'POST /api/sessions/:id/export',
+                'POST /api/sessions/import',
+                'POST /api/sessions/:id/webhooks',
+                'GET /api/sessions/:id/webhooks',
+                'GET /api/sessions/:id/webhooks/deliveries',
+                'DELETE /api/sessions/:id/webhooks/:webhookId',
+                'GET /api/sessions/:id/rules',
+                'PUT /api/sessions/:id/rules',
+                'DELETE /api/sessions/:id/rules',
                 'GET /api/health',
-                'GET /api/test'
+                'GET /api/test',
+                'GET /health/live',
+                'GET /health/ready',
+                'GET /metrics'
             ]
         });
     } else {
@@ -1203,7 +2166,7 @@ app.use('*', (req, res) => {
             <html>
                 <head><title>404 - Page Not Found</title></head>
                 <body style="background: #000; color: #05e6ff; font-family: Arial; text-align: center; padding: 50px;">
-                    <h1>🤖 DTZ NOVA X MD</h1>
+                    <h1>🤖 ${escapeHtml(branding.name)}</h1>
                     <h2>404 - Page Not Found</h2>
                     <p>The page you're looking for doesn't exist.</p>
                     <a href="/" style="color: #05e6ff;">Go to Home Page</a>
@@ -1214,38 +2177,35 @@ app.use('*', (req, res) => {
 });
 
 app.listen(PORT, '0.0.0.0', () => {
-    console.log(`
-🚀 DTZ NOVA X MD Complete Server Started
-📍 Port: ${PORT}
-🌐 Environment: ${process.env.NODE_ENV || 'development'}
-📱 Version: 2.2.0
-🕒 Started at: ${new Date().toLocaleString()}
-    
-📋 Single File Deployment:
-   ✅ GET  /                     - Complete Web Interface
-   ✅ GET  /api/code/qr          - QR code generation
-   ✅ GET  /api/code/phone       - Phone pairing
-   ✅ GET  /api/code/status/:id  - Connection status
-   ✅ GET  /api/sessions         - Active sessions
-   ✅ GET  /api/health           - Health check
-    `);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('🛑 SIGTERM received - cleaning up sessions');
-    for (const [sessionId, session] of activeSessions) {
-        await cleanupSession(session.sessionDir);
+    logger.info({
+        port: PORT,
+        environment: process.env.NODE_ENV || 'development',
+        version: branding.version,
+        authStore: authStore.name,
+        encrypted: Boolean(process.env.SESSION_ENCRYPTION_KEY)
+    }, `${branding.name} server started`);
+
+    if (apiKeys.length === 0) {
+        logger.warn('Authentication disabled (AUTH_DISABLED=true) - all /api routes are public.');
     }
-    process.exit(0);
+
+    commandRouter.loadDirectory(path.join(__dirname, 'commands'))
+        .then((count) => logger.info({ count, prefix: commandRouter.prefix }, 'Commands loaded'))
+        .catch((error) => logger.error({ err: error }, 'Command loading failed'));
+
+    Promise.all([webhooks.load(), chatRules.load()])
+        .then(() => sessionManager.restore())
+        .catch((error) => logger.error({ err: error }, 'Session restore failed'));
 });
 
-process.on('SIGINT', async () => {
-    console.log('🛑 SIGINT received - cleaning up sessions');
-    for (const [sessionId, session] of activeSessions) {
-        await cleanupSession(session.sessionDir);
-    }
+// Graceful shutdown - close sockets but keep paired credentials on disk
+async function shutdown(signal) {
+    logger.info({ signal }, 'Shutting down - closing sessions');
+    await sessionManager.shutdown();
     process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 export default app;
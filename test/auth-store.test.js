@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createCodec } from '../lib/auth-store/codec.js';
+import { createMultiFileStore } from '../lib/auth-store/multi-file.js';
+import { isEncrypted } from '../lib/crypto.js';
+
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32);
+
+let root;
+
+before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-store-test-'));
+});
+
+after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+// A base dir holding one session whose files are encoded with `codec`
+async function sessionFiles(codec, files) {
+    const baseDir = await fs.mkdtemp(path.join(root, 'store-'));
+    const dir = path.join(baseDir, 'session_1');
+    await fs.mkdir(dir);
+    for (const [name, value] of Object.entries(files)) {
+        await fs.writeFile(path.join(dir, name), codec.encode(value));
+    }
+    return { baseDir, dir };
+}
+
+const readDir = async (dir) => Object.fromEntries(await Promise.all(
+    (await fs.readdir(dir)).sort().map(async (name) => [name, await fs.readFile(path.join(dir, name))])));
+
+test('codec round-trips values, Buffers included, with and without a key', () => {
+    const value = { registered: true, noiseKey: { private: crypto.randomBytes(32) } };
+
+    for (const codec of [createCodec(), createCodec(oldKey)]) {
+        assert.deepEqual(codec.decode(codec.encode(value)), value);
+    }
+    assert.equal(isEncrypted(createCodec().encode(value)), false);
+    assert.equal(isEncrypted(createCodec(oldKey).encode(value)), true);
+});
+
+test('codec with a key still reads plain values', () => {
+    const plain = createCodec().encode({ a: 1 });
+    assert.deepEqual(createCodec(oldKey).decode(plain), { a: 1 });
+});
+
+test('codec refuses encrypted values without the key or with the wrong one', () => {
+    const sealed = createCodec(oldKey).encode({ a: 1 });
+
+    assert.throws(() => createCodec().decode(sealed), /SESSION_ENCRYPTION_KEY is not set/);
+    assert.throws(() => createCodec(newKey).decode(sealed));
+});
+
+test('rotateKey re-encrypts every file with the new key', async () => {
+    const { baseDir, dir } = await sessionFiles(createCodec(oldKey), {
+        'creds.json': { registered: true },
+        'pre-key-1.json': { keyPair: { public: Buffer.from([1, 2, 3]) } }
+    });
+    const store = createMultiFileStore({ baseDir, key: oldKey });
+
+    assert.equal(await store.rotateKey(newKey), 2);
+
+    const creds = await fs.readFile(path.join(dir, 'creds.json'));
+    assert.deepEqual(createCodec(newKey).decode(creds), { registered: true });
+    assert.throws(() => createCodec(oldKey).decode(creds));
+    assert.deepEqual(createCodec(newKey).decode(await fs.readFile(path.join(dir, 'pre-key-1.json'))), { keyPair: { public: Buffer.from([1, 2, 3]) } });
+});
+
+test('rotateKey encrypts plain files when moving to a first key', async () => {
+    const { baseDir, dir } = await sessionFiles(createCodec(), { 'creds.json': { registered: true } });
+
+    assert.equal(await createMultiFileStore({ baseDir }).rotateKey(newKey), 1);
+    assert.equal(isEncrypted(await fs.readFile(path.join(dir, 'creds.json'))), true);
+});
+
+test('rotateKey can be run again after an interrupted run left files on the new key', async () => {
+    const { baseDir, dir } = await sessionFiles(createCodec(oldKey), { 'creds.json': { registered: true } });
+    // As if the previous run got as far as this file before stopping
+    await fs.writeFile(path.join(dir, 'pre-key-1.json'), createCodec(newKey).encode({ id: 1 }));
+
+    assert.equal(await createMultiFileStore({ baseDir, key: oldKey }).rotateKey(newKey), 2);
+
+    const codec = createCodec(newKey);
+    assert.deepEqual(codec.decode(await fs.readFile(path.join(dir, 'creds.json'))), { registered: true });
+    assert.deepEqual(codec.decode(await fs.readFile(path.join(dir, 'pre-key-1.json'))), { id: 1 });
+});
+
+test('rotateKey writes nothing when a file cannot be decoded', async () => {
+    const { baseDir, dir } = await sessionFiles(createCodec(oldKey), { 'creds.json': { registered: true } });
+    // Neither the old nor the new key opens this one
+    await fs.writeFile(path.join(dir, 'pre-key-1.json'), createCodec(crypto.randomBytes(32)).encode({ id: 1 }));
+    const original = await readDir(dir);
+
+    const store = createMultiFileStore({ baseDir, key: oldKey });
+    await assert.rejects(store.rotateKey(newKey), /Cannot decode .*pre-key-1\.json/);
+
+    assert.deepEqual(await readDir(dir), original);
+});
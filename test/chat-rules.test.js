@@ -0,0 +1,153 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Config is read once on import
+process.env.LOG_LEVEL = 'silent';
+process.env.LOG_FORMAT = 'json';
+
+const { ChatRules, DEFAULT_RULES, mergeRules, isWithinSchedule } = await import('../lib/chat-rules.js');
+
+// 2024-01-01 is a Monday
+const at = (time) => new Date(`${time}Z`);
+
+let dir;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chat-rules-test-'));
+});
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+const newRules = (name) => new ChatRules({ file: path.join(dir, `${name}.json`) });
+
+const message = (overrides = {}) => ({
+    chat: '94771234567@s.whatsapp.net',
+    sender: '94771234567@s.whatsapp.net',
+    isGroup: false,
+    timestamp: at('2024-01-01T12:00:00').getTime() / 1000,
+    ...overrides
+});
+const NOW = at('2024-01-01T12:00:10').getTime();
+
+test('a day schedule covers [start, end) on the listed days', () => {
+    const schedule = { timezone: 'UTC', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T09:00:00')), true);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T16:59:00')), true);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T08:59:00')), false);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T17:00:00')), false);
+    // Sunday
+    assert.equal(isWithinSchedule(schedule, at('2023-12-31T12:00:00')), false);
+});
+
+test('a schedule across midnight belongs to the day it starts on', () => {
+    const schedule = { timezone: 'UTC', days: [1], start: '22:00', end: '06:00' };
+
+    // Monday night and the early hours of Tuesday
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T22:00:00')), true);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T23:59:00')), true);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-02T00:00:00')), true);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-02T05:59:00')), true);
+    // The early hours of Monday belong to Sunday night, and Tuesday night is not listed
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T03:00:00')), false);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-02T06:00:00')), false);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-02T23:00:00')), false);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T21:59:00')), false);
+});
+
+test('a schedule is read in its own timezone', () => {
+    // Colombo is UTC+05:30
+    const schedule = { timezone: 'Asia/Colombo', days: [1], start: '09:00', end: '17:00' };
+
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T03:30:00')), true);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T03:29:00')), false);
+    assert.equal(isWithinSchedule(schedule, at('2024-01-01T11:30:00')), false);
+    // 02:00 Tuesday in Colombo is still Monday in UTC
+    assert.equal(isWithinSchedule({ ...schedule, start: '22:00', end: '06:00' }, at('2024-01-01T20:30:00')), true);
+});
+
+test('no schedule means any time', () => {
+    assert.equal(isWithinSchedule(null, at('2024-01-01T03:00:00')), true);
+});
+
+test('mergeRules validates schedules', () => {
+    const valid = mergeRules(DEFAULT_RULES, { schedule: { days: [5, 1, 1], start: '09:00', end: '17:00' } });
+    assert.deepEqual(valid.schedule, { timezone: 'UTC', days: [1, 5], start: '09:00', end: '17:00' });
+
+    for (const schedule of [
+        { start: '9:00', end: '17:00' },
+        { start: '09:00', end: '24:00' },
+        { start: '09:00', end: '09:00' },
+        { start: '09:00', end: '17:00', days: [] },
+        { start: '09:00', end: '17:00', days: [7] },
+        { start: '09:00', end: '17:00', timezone: 'Mars/Olympus' }
+    ]) {
+        assert.throws(() => mergeRules(DEFAULT_RULES, { schedule }), { code: 'INVALID_RULES' }, JSON.stringify(schedule));
+    }
+});
+
+test('mergeRules rejects unknown fields and wrong types', () => {
+    assert.throws(() => mergeRules(DEFAULT_RULES, { nope: true }), { code: 'INVALID_RULES' });
+    assert.throws(() => mergeRules(DEFAULT_RULES, { groups: 'yes' }), { code: 'INVALID_RULES' });
+    assert.throws(() => mergeRules(DEFAULT_RULES, { cooldownSeconds: -1 }), { code: 'INVALID_RULES' });
+    assert.throws(() => mergeRules(DEFAULT_RULES, { allow: [''] }), { code: 'INVALID_RULES' });
+});
+
+test('check allows a fresh private message with the default rules', () => {
+    assert.deepEqual(newRules('defaults').check('session_1', message(), 'notify', NOW), { allowed: true, reason: null });
+});
+
+test('check skips broadcasts, history and stale messages', () => {
+    const rules = newRules('skips');
+
+    assert.equal(rules.check('session_1', message({ chat: 'status@broadcast' }), 'notify', NOW).reason, 'broadcast');
+    assert.equal(rules.check('session_1', message({ chat: '1234@newsletter' }), 'notify', NOW).reason, 'broadcast');
+    assert.equal(rules.check('session_1', message(), 'append', NOW).reason, 'history');
+    assert.equal(rules.check('session_1', message(), 'notify', NOW + 301 * 1000).reason, 'stale');
+});
+
+test('check applies the chat kind, deny and allow lists', async () => {
+    const rules = newRules('lists');
+    const group = message({ chat: '123456@g.us', isGroup: true, sender: '94770000000:5@s.whatsapp.net' });
+
+    await rules.update('session_1', { groups: false });
+    assert.equal(rules.check('session_1', group, 'notify', NOW).reason, 'group');
+
+    // Phone numbers match the device-suffixed sender JID
+    await rules.update('session_1', { groups: true, deny: ['+94 77 000 0000'] });
+    assert.equal(rules.check('session_1', group, 'notify', NOW).reason, 'denied');
+
+    await rules.update('session_1', { deny: [], allow: ['94779999999'] });
+    assert.equal(rules.check('session_1', message(), 'notify', NOW).reason, 'not_allowed');
+    assert.equal(rules.check('session_1', message({ chat: '94779999999@s.whatsapp.net' }), 'notify', NOW).allowed, true);
+
+    // Other sessions keep the defaults
+    assert.equal(rules.check('session_2', message(), 'notify', NOW).allowed, true);
+});
+
+test('check applies the schedule and the cooldown', async () => {
+    const rules = newRules('timing');
+
+    await rules.update('session_1', { schedule: { days: [1], start: '22:00', end: '06:00' } });
+    assert.equal(rules.check('session_1', message(), 'notify', NOW).reason, 'outside_schedule');
+
+    await rules.update('session_1', { schedule: null, cooldownSeconds: 60 });
+    rules.markReplied('session_1', message().chat, NOW);
+    assert.equal(rules.check('session_1', message(), 'notify', NOW + 59 * 1000).reason, 'cooldown');
+    assert.equal(rules.check('session_1', message(), 'notify', NOW + 60 * 1000).allowed, true);
+});
+
+test('rules survive a reload from the file', async () => {
+    const rules = newRules('persisted');
+    await rules.update('session_1', { private: false });
+
+    const reloaded = newRules('persisted');
+    await reloaded.load();
+    assert.equal(reloaded.get('session_1').private, false);
+    assert.equal(reloaded.check('session_1', message(), 'notify', NOW).reason, 'private');
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMessage, isChatContent } from '../lib/message.js';
+
+const key = { id: 'MSG1', remoteJid: '94771234567@s.whatsapp.net', fromMe: false };
+
+const incoming = (message, extra = {}) => normalizeMessage({ key, message, messageTimestamp: 1700000000, ...extra });
+
+test('normalizes a plain text message', () => {
+    const normalized = incoming({ conversation: 'hello' }, { pushName: 'Kasun' });
+
+    assert.equal(normalized.id, 'MSG1');
+    assert.equal(normalized.chat, key.remoteJid);
+    assert.equal(normalized.sender, key.remoteJid);
+    assert.equal(normalized.pushName, 'Kasun');
+    assert.equal(normalized.timestamp, 1700000000);
+    assert.equal(normalized.isGroup, false);
+    assert.equal(normalized.type, 'conversation');
+    assert.equal(normalized.text, 'hello');
+    assert.equal(normalized.media, null);
+    assert.equal(normalized.edited, false);
+    assert.equal(isChatContent(normalized), true);
+});
+
+test('takes the sender of group messages from the participant', () => {
+    const normalized = normalizeMessage({
+        key: { id: 'MSG2', remoteJid: '123456@g.us', participant: '94771234567@s.whatsapp.net' },
+        message: { extendedTextMessage: { text: 'hi all' } }
+    });
+
+    assert.equal(normalized.isGroup, true);
+    assert.equal(normalized.sender, '94771234567@s.whatsapp.net');
+    assert.equal(normalized.text, 'hi all');
+});
+
+test('ignores metadata keys next to the content', () => {
+    const normalized = incoming({ messageContextInfo: { deviceListMetadata: {} }, conversation: 'hello' });
+
+    assert.equal(normalized.type, 'conversation');
+    assert.equal(normalized.text, 'hello');
+});
+
+test('unwraps ephemeral and view-once wrappers, however deep', () => {
+    const normalized = incoming({
+        ephemeralMessage: {
+            message: {
+                viewOnceMessageV2: {
+                    message: { imageMessage: { caption: 'look', mimetype: 'image/jpeg', fileLength: '2048' } }
+                }
+            }
+        }
+    });
+
+    assert.equal(normalized.type, 'imageMessage');
+    assert.equal(normalized.text, 'look');
+    assert.equal(normalized.caption, 'look');
+    assert.equal(normalized.media.mimetype, 'image/jpeg');
+    assert.equal(normalized.media.fileLength, 2048);
+    assert.equal(normalized.ephemeral, true);
+    assert.equal(normalized.viewOnce, true);
+});
+
+test('unwraps documents with a caption', () => {
+    const normalized = incoming({
+        documentWithCaptionMessage: {
+            message: { documentMessage: { caption: 'report', fileName: 'report.pdf', mimetype: 'application/pdf' } }
+        }
+    });
+
+    assert.equal(normalized.type, 'documentMessage');
+    assert.equal(normalized.text, 'report');
+    assert.equal(normalized.media.fileName, 'report.pdf');
+    assert.equal(normalized.viewOnce, false);
+});
+
+test('unwraps edits to the new content and the id of the edited message', () => {
+    const normalized = incoming({
+        editedMessage: {
+            message: {
+                protocolMessage: {
+                    type: 14,
+                    key: { id: 'ORIGINAL' },
+                    editedMessage: { conversation: 'fixed typo' }
+                }
+            }
+        }
+    });
+
+    assert.equal(normalized.type, 'conversation');
+    assert.equal(normalized.text, 'fixed typo');
+    assert.equal(normalized.edited, true);
+    assert.equal(normalized.editedId, 'ORIGINAL');
+    assert.equal(isChatContent(normalized), true);
+});
+
+test('unwraps edits sent without the editedMessage wrapper', () => {
+    const normalized = incoming({
+        protocolMessage: { type: 14, key: { id: 'ORIGINAL' }, editedMessage: { extendedTextMessage: { text: 'new text' } } }
+    });
+
+    assert.equal(normalized.type, 'extendedTextMessage');
+    assert.equal(normalized.text, 'new text');
+    assert.equal(normalized.editedId, 'ORIGINAL');
+});
+
+test('leaves other protocol messages as non-content', () => {
+    const normalized = incoming({ protocolMessage: { type: 0, key: { id: 'ORIGINAL' } } });
+
+    assert.equal(normalized.type, 'protocolMessage');
+    assert.equal(normalized.edited, false);
+    assert.equal(normalized.editedId, null);
+    assert.equal(isChatContent(normalized), false);
+});
+
+test('describes the quoted message and mentions', () => {
+    const normalized = incoming({
+        extendedTextMessage: {
+            text: '@94770000000 see this',
+            contextInfo: {
+                stanzaId: 'QUOTED',
+                participant: '94770000000@s.whatsapp.net',
+                quotedMessage: { ephemeralMessage: { message: { conversation: 'earlier' } } },
+                mentionedJid: ['94770000000@s.whatsapp.net']
+            }
+        }
+    });
+
+    assert.deepEqual(normalized.quoted, { id: 'QUOTED', sender: '94770000000@s.whatsapp.net', type: 'conversation', text: 'earlier' });
+    assert.deepEqual(normalized.mentions, ['94770000000@s.whatsapp.net']);
+});
+
+test('reports messages without content as unknown', () => {
+    const normalized = incoming(undefined);
+
+    assert.equal(normalized.type, 'unknown');
+    assert.equal(normalized.text, null);
+    assert.equal(isChatContent(normalized), false);
+});
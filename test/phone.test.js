@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhoneNumber, findCountryByDialCode } from '../lib/phone.js';
+
+const e164 = (input, dialCode) => normalizePhoneNumber(input, dialCode).e164;
+
+test('normalizes international input with a leading +', () => {
+    assert.deepEqual(normalizePhoneNumber('+94 77 123 4567'), { e164: '+94771234567', digits: '94771234567', country: 'LK' });
+    assert.equal(e164('+1 (201) 555-0123'), '+12015550123');
+    assert.equal(e164('+44 7400 123456'), '+447400123456');
+});
+
+test('treats a leading 00 as the international prefix', () => {
+    assert.equal(e164('0094 77 123 4567'), '+94771234567');
+    assert.equal(e164('00 61 412 345 678'), '+61412345678');
+});
+
+test('drops a trunk 0 kept after the country code', () => {
+    assert.equal(e164('+94 077 123 4567'), '+94771234567');
+    assert.equal(e164('+44 07400 123456'), '+447400123456');
+});
+
+test('accepts country codes it has no rules for, within E.164 lengths', () => {
+    assert.deepEqual(normalizePhoneNumber('+49 151 23456789'), { e164: '+4915123456789', digits: '4915123456789', country: null });
+});
+
+test('with a dial code, takes national numbers with or without the trunk prefix or a repeated country code', () => {
+    assert.equal(e164('0771234567', '94'), '+94771234567');
+    assert.equal(e164('771234567', '+94'), '+94771234567');
+    assert.equal(e164('94771234567', '94'), '+94771234567');
+    assert.equal(e164('+94 77 123 4567', '94'), '+94771234567');
+    assert.equal(e164('98765 43210', '91'), '+919876543210');
+});
+
+test('asks for the country code when the number has none', () => {
+    assert.throws(() => normalizePhoneNumber('077 123 4567'), { code: 'MISSING_COUNTRY_CODE' });
+    assert.throws(() => normalizePhoneNumber('0771234567'), { code: 'MISSING_COUNTRY_CODE' });
+});
+
+test('rejects a number that belongs to another country than the dial code', () => {
+    assert.throws(() => normalizePhoneNumber('+91 98765 43210', '94'), { code: 'COUNTRY_MISMATCH' });
+});
+
+test('rejects unsupported dial codes', () => {
+    assert.equal(findCountryByDialCode('999'), null);
+    assert.throws(() => normalizePhoneNumber('771234567', '999'), { code: 'UNSUPPORTED_COUNTRY' });
+});
+
+test('checks the national number against the country rules', () => {
+    assert.throws(() => normalizePhoneNumber('+94 77 123 456'), { code: 'NUMBER_TOO_SHORT' });
+    assert.throws(() => normalizePhoneNumber('+94 77 123 45678'), { code: 'NUMBER_TOO_LONG' });
+    assert.throws(() => normalizePhoneNumber('+91 12345 67890'), { code: 'INVALID_NUMBER' });
+});
+
+test('enforces E.164 lengths for unknown countries', () => {
+    assert.throws(() => normalizePhoneNumber('+49 1234'), { code: 'NUMBER_TOO_SHORT' });
+    assert.throws(() => normalizePhoneNumber('+49 1234 5678 9012 34'), { code: 'NUMBER_TOO_LONG' });
+});
+
+test('rejects empty input and stray characters', () => {
+    assert.throws(() => normalizePhoneNumber(''), { code: 'NUMBER_REQUIRED' });
+    assert.throws(() => normalizePhoneNumber('   '), { code: 'NUMBER_REQUIRED' });
+    assert.throws(() => normalizePhoneNumber(94771234567), { code: 'NUMBER_REQUIRED' });
+    assert.throws(() => normalizePhoneNumber('+94 77 123 456x'), { code: 'INVALID_CHARACTERS' });
+});
@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Config is read once on import, so the short retry settings have to be in place first
+process.env.LOG_LEVEL = 'silent';
+process.env.LOG_FORMAT = 'json';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_MS = '100';
+
+const { WebhookDispatcher, signPayload } = await import('../lib/webhooks.js');
+
+// Local receiver: records every request and answers with the next queued status (200 once the queue is empty)
+const received = [];
+const statuses = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.shift() || 200).end();
+    });
+});
+
+let dir;
+let url;
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-test-'));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function setup(options = {}) {
+    received.length = 0;
+    statuses.length = 0;
+
+    const dispatcher = new WebhookDispatcher({ file: path.join(dir, `${crypto.randomUUID()}.json`) });
+    const webhook = await dispatcher.add('session_1', { url, secret: 'test-secret-0123456789', ...options });
+    return { dispatcher, webhook };
+}
+
+async function settled(dispatcher) {
+    for (let i = 0; i < 100; i++) {
+        const [delivery] = dispatcher.listDeliveries('session_1');
+        if (delivery && ['delivered', 'failed'].includes(delivery.status)) return delivery;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error('Delivery did not settle');
+}
+
+test('signPayload is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('secret', '1700000000', '{"a":1}'), `sha256=${expected}`);
+});
+
+test('delivers a signed payload the receiver can verify', async () => {
+    const { dispatcher, webhook } = await setup();
+
+    dispatcher.dispatch('session_1', 'message', { text: 'hello' });
+    const delivery = await settled(dispatcher);
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(received.length, 1);
+
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-webhook-event'], 'message');
+    assert.equal(headers['x-webhook-id'], delivery.id);
+    assert.equal(headers['x-webhook-signature'], signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, delivery.id);
+    assert.equal(payload.event, 'message');
+    assert.equal(payload.sessionId, 'session_1');
+    assert.deepEqual(payload.data, { text: 'hello' });
+});
+
+test('skips events the webhook is not subscribed to', async () => {
+    const { dispatcher } = await setup({ events: ['receipt'] });
+
+    dispatcher.dispatch('session_1', 'message', { text: 'hello' });
+
+    assert.deepEqual(dispatcher.listDeliveries('session_1'), []);
+    assert.equal(received.length, 0);
+});
+
+test('retries failed deliveries until the receiver accepts them', async () => {
+    const { dispatcher } = await setup();
+    statuses.push(500, 503);
+
+    dispatcher.dispatch('session_1', 'connection', { state: 'connected' });
+    const delivery = await settled(dispatcher);
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(received.length, 3);
+    // Every attempt of one delivery carries the same id and body
+    assert.equal(new Set(received.map(({ headers }) => headers['x-webhook-id'])).size, 1);
+    assert.equal(new Set(received.map(({ body }) => body)).size, 1);
+});
+
+test('gives up after the configured number of attempts', async () => {
+    const { dispatcher } = await setup();
+    statuses.push(500, 500, 500);
+
+    dispatcher.dispatch('session_1', 'presence', { presence: 'available' });
+    const delivery = await settled(dispatcher);
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.error, 'Receiver responded 500');
+});
+
+test('rejects non-http URLs and unknown events', async () => {
+    const dispatcher = new WebhookDispatcher({ file: path.join(dir, 'invalid.json') });
+
+    await assert.rejects(dispatcher.add('session_1', { url: 'ftp://example.com' }), { code: 'INVALID_WEBHOOK' });
+    await assert.rejects(dispatcher.add('session_1', { url, events: ['nope'] }), { code: 'INVALID_WEBHOOK' });
+    await assert.rejects(dispatcher.add('session_1', { url, events: [] }), { code: 'INVALID_WEBHOOK' });
+});
+
+test('rejects secrets that are not strings or too short, and generates one when left out', async () => {
+    const dispatcher = new WebhookDispatcher({ file: path.join(dir, 'secrets.json') });
+
+    await assert.rejects(dispatcher.add('session_1', { url, secret: 5 }), { code: 'INVALID_WEBHOOK' });
+    await assert.rejects(dispatcher.add('session_1', { url, secret: 'short' }), { code: 'INVALID_WEBHOOK' });
+    assert.deepEqual(dispatcher.list('session_1'), []);
+
+    const webhook = await dispatcher.add('session_1', { url });
+    assert.match(webhook.secret, /^[0-9a-f]{64}$/);
+});